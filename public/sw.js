@@ -0,0 +1,107 @@
+const CACHE_VERSION = 'glacier-sim-v2';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const RUNTIME_CACHE = `${CACHE_VERSION}-runtime`;
+const SHELL_FILES = [
+  './',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const isBuildAsset = (url) =>
+  url.origin === self.location.origin && url.pathname.includes('/assets/');
+
+const shellAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(([, path]) => new URL(path, self.registration.scope))
+    .filter(isBuildAsset)
+    .map(String);
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_FILES);
+  const html = await (await cache.match('./')).text();
+  await cache.addAll(shellAssets(html));
+}
+
+async function pruneAssets(html) {
+  const referenced = new Set(shellAssets(html));
+  await Promise.all(
+    [SHELL_CACHE, RUNTIME_CACHE].map(async (name) => {
+      const cache = await caches.open(name);
+      const requests = await cache.keys();
+      await Promise.all(
+        requests
+          .filter((request) => isBuildAsset(new URL(request.url)) && !referenced.has(request.url))
+          .map((request) => cache.delete(request))
+      );
+    })
+  );
+}
+
+async function pruneFromShell() {
+  const shell = await caches.match('./', { cacheName: SHELL_CACHE });
+  if (shell) await pruneAssets(await shell.text());
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => !key.startsWith(CACHE_VERSION)).map((key) => caches.delete(key))
+        )
+      )
+      .then(pruneFromShell)
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const shell = response.clone();
+      event.waitUntil(
+        shell
+          .clone()
+          .text()
+          .then((html) => cache.put('./', shell).then(() => pruneAssets(html)))
+      );
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match('./')) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(event));
+  } else if (url.origin === self.location.origin || FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
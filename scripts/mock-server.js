@@ -0,0 +1,89 @@
+import { createServer } from 'node:http';
+import { access, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/providers/', import.meta.url));
+const PORT = Number(process.env.MOCK_PORT) || 8787;
+
+const ROUTES = [
+  {
+    match: (url) => url.pathname === '/v1/forecast' && url.searchParams.has('current'),
+    fixture: 'open-meteo-current.json'
+  },
+  {
+    match: (url) => url.pathname === '/v1/forecast' && url.searchParams.has('daily'),
+    fixture: 'open-meteo-daily.json',
+    transform: (body, url) => {
+      const days =
+        Number(url.searchParams.get('forecast_days')) + Number(url.searchParams.get('past_days') || 0);
+      if (!Number.isFinite(days) || days <= 0) return body;
+      Object.keys(body.daily).forEach((key) => {
+        body.daily[key] = body.daily[key].slice(0, days);
+      });
+      return body;
+    }
+  },
+  { match: (url) => url.pathname === '/v1/archive', fixture: 'open-meteo-archive.json' },
+  { match: (url) => /^\/points\/[-\d.]+,[-\d.]+$/.test(url.pathname), fixture: 'nws-points.json' },
+  { match: (url) => /^\/gridpoints\/[^/]+\/[^/]+\/stations$/.test(url.pathname), fixture: 'nws-stations.json' },
+  { match: (url) => /^\/gridpoints\/[^/]+\/[^/]+$/.test(url.pathname), fixture: 'nws-gridpoint.json' },
+  {
+    match: (url) => /^\/stations\/[^/]+\/observations\/latest$/.test(url.pathname),
+    fixture: async (url) => {
+      const stationFixture = `nws-observation-${url.pathname.split('/')[2]}.json`;
+      try {
+        await access(`${FIXTURE_DIR}${stationFixture}`);
+        return stationFixture;
+      } catch {
+        return 'nws-observation.json';
+      }
+    }
+  },
+  {
+    match: (url) => url.pathname === '/weatherapi/locationforecast/2.0/compact',
+    fixture: 'metno-compact.json'
+  }
+];
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*'
+  });
+  response.end(body);
+}
+
+export function createMockServer({ log = console.log } = {}) {
+  return createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+      send(response, 204, '');
+      return;
+    }
+
+    const origin = `http://${request.headers.host}`;
+    const url = new URL(request.url, origin);
+    const route = ROUTES.find((item) => item.match(url));
+    if (!route) {
+      send(response, 404, JSON.stringify({ error: `No fixture for ${url.pathname}` }));
+      return;
+    }
+
+    try {
+      const fixture = typeof route.fixture === 'function' ? await route.fixture(url) : route.fixture;
+      const text = await readFile(`${FIXTURE_DIR}${fixture}`, 'utf8');
+      const body = JSON.parse(text.replaceAll('https://api.weather.gov', origin));
+      const payload = route.transform ? route.transform(body, url) : body;
+      log(`${request.method} ${url.pathname}${url.search} -> ${fixture}`);
+      send(response, 200, JSON.stringify(payload));
+    } catch (error) {
+      send(response, 500, JSON.stringify({ error: error.message }));
+    }
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createMockServer().listen(PORT, () => {
+    console.log(`Provider fixtures served at http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,240 @@
+import ruleData from './data/alert-rules.json';
+import { entryDays, entryMassChange } from './history.js';
+import { hasMessage, message, number } from './i18n.js';
+
+export const ALERT_METRICS = ['healthIndex', 'dailyChange', 'sevenDayTrend', 'thirtyDayTrend'];
+export const ALERT_COMPARATORS = ['<', '<=', '>', '>='];
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+export const DEFAULT_ALERT_RULES = ruleData.rules.map((rule) => ({ enabled: true, ...rule }));
+
+const RULE_FIELDS = {
+  enabled: { type: 'boolean' },
+  metric: { type: 'string', enum: ALERT_METRICS },
+  comparator: { type: 'string', enum: ALERT_COMPARATORS },
+  threshold: { type: 'number' },
+  duration: { type: 'number', min: 1, max: 365 },
+  hysteresis: { type: 'number', min: 0, max: 100 },
+  severity: { type: 'string', enum: ALERT_SEVERITIES },
+  message: { type: 'string' }
+};
+
+const EDITABLE_FIELDS = Object.keys(RULE_FIELDS).filter((field) => field !== 'message');
+
+const COMPARE = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold
+};
+
+const GENERIC_MESSAGE = 'alertRules.condition';
+
+function fieldError(field, value) {
+  const spec = RULE_FIELDS[field];
+  if (!spec) return message('validation.unknownRuleField');
+  if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+    return message('validation.type', { type: spec.type });
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return message('validation.oneOf', { values: spec.enum.join(', ') });
+  }
+  if (spec.min !== undefined && (value < spec.min || value > spec.max)) {
+    return message('validation.between', { min: spec.min, max: spec.max });
+  }
+  return null;
+}
+
+export const fieldProblem = (field, problem) => message('validation.field', { field, problem });
+
+export function validateAlertRuleOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return [fieldProblem('alertRules', message('validation.type', { type: 'object' }))];
+  }
+  const errors = [];
+  Object.entries(overrides).forEach(([id, override]) => {
+    if (!DEFAULT_ALERT_RULES.some((rule) => rule.id === id)) {
+      errors.push(fieldProblem(`alertRules.${id}`, message('validation.unknownRule')));
+      return;
+    }
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      errors.push(fieldProblem(`alertRules.${id}`, message('validation.type', { type: 'object' })));
+      return;
+    }
+    Object.entries(override).forEach(([field, value]) => {
+      const error = fieldError(field, value);
+      if (error) errors.push(fieldProblem(`alertRules.${id}.${field}`, error));
+    });
+  });
+  return errors;
+}
+
+const sanitizeOverride = (override) =>
+  Object.entries(override || {}).reduce((acc, [field, value]) => {
+    if (!fieldError(field, value)) acc[field] = value;
+    return acc;
+  }, {});
+
+export function resolveAlertRules(...overrideSets) {
+  return DEFAULT_ALERT_RULES.map((rule) => {
+    const overrides = overrideSets.map((set) => sanitizeOverride(set?.[rule.id]));
+    const resolved = overrides.reduce((acc, override) => ({ ...acc, ...override }), { ...rule });
+    const conditionChanged = resolved.metric !== rule.metric || resolved.comparator !== rule.comparator;
+    if (conditionChanged && !overrides.some((override) => override.message)) {
+      resolved.message = GENERIC_MESSAGE;
+    }
+    return resolved;
+  });
+}
+
+export function diffAlertRules(base, edited) {
+  return edited.reduce((acc, rule) => {
+    const original = base.find((entry) => entry.id === rule.id);
+    if (!original) return acc;
+    const changes = EDITABLE_FIELDS.reduce((fields, field) => {
+      if (rule[field] !== undefined && rule[field] !== original[field]) fields[field] = rule[field];
+      return fields;
+    }, {});
+    if (Object.keys(changes).length) acc[rule.id] = changes;
+    return acc;
+  }, {});
+}
+
+function trendOver(history, end, days) {
+  let total = 0;
+  let counted = 0;
+  for (let i = end; i >= 0 && counted < days; i -= 1) {
+    total += entryMassChange(history[i]);
+    counted += entryDays(history[i]);
+  }
+  return counted > 0 ? total / counted : null;
+}
+
+function metricPoint(history, index) {
+  const entry = history[index];
+  if (!entry || entry.aggregated) return null;
+  const week = history.slice(Math.max(0, index - 6), index + 1);
+  return {
+    date: entry.date,
+    sourceLabel: entry.sourceLabel,
+    values: {
+      healthIndex: entry.healthIndex,
+      dailyChange: entry.dailyChange,
+      sevenDayTrend: week.reduce((sum, item) => sum + item.dailyChange, 0) / week.length,
+      thirtyDayTrend: trendOver(history, index, 30)
+    }
+  };
+}
+
+const IDLE_RULE_STATE = { active: false, streak: 0, onset: null, since: null, value: null };
+
+function stepRule(rule, state, point) {
+  const value = point.values[rule.metric];
+  if (!Number.isFinite(value)) return state;
+  const breaches = COMPARE[rule.comparator];
+  if (state.active) {
+    const clearAt = rule.comparator.startsWith('<')
+      ? rule.threshold + rule.hysteresis
+      : rule.threshold - rule.hysteresis;
+    return breaches(value, clearAt) ? { ...state, value } : { ...IDLE_RULE_STATE, value };
+  }
+  const streak = breaches(value, rule.threshold) ? state.streak + 1 : 0;
+  const onset = streak === 1 ? point.date : state.onset;
+  const active = streak >= rule.duration;
+  return { active, streak, onset, since: active ? onset : null, value };
+}
+
+export function trackAlertRules(rules, history, states = null) {
+  const points = (states ? [history.length - 1] : history.map((entry, index) => index))
+    .map((index) => metricPoint(history, index))
+    .filter(Boolean);
+  return rules.reduce((acc, rule) => {
+    acc[rule.id] = points.reduce(
+      (state, point) => stepRule(rule, state, point),
+      states?.[rule.id] || IDLE_RULE_STATE
+    );
+    return acc;
+  }, {});
+}
+
+export function alertRuleResults(rules, states) {
+  const claimed = new Map();
+  return rules.map((rule) => {
+    if (rule.enabled === false) {
+      return { rule, active: false, suppressed: false, value: null, since: null, disabled: true };
+    }
+    const { active, value, since } = states[rule.id] || IDLE_RULE_STATE;
+    const result = { rule, active, suppressed: false, value, since };
+    if (active && rule.group) {
+      result.suppressed = claimed.has(rule.group);
+      if (result.suppressed) result.supersededBy = claimed.get(rule.group);
+      else claimed.set(rule.group, rule);
+    }
+    return result;
+  });
+}
+
+export function evaluateAlertRules(rules, history) {
+  return alertRuleResults(rules, trackAlertRules(rules, history));
+}
+
+export const describeMetric = (metric) => message(`alertRules.metrics.${metric}`);
+
+export function describeRule(rule) {
+  return message(GENERIC_MESSAGE, {
+    metric: describeMetric(rule.metric),
+    comparator: rule.comparator,
+    threshold: number(rule.threshold),
+    count: rule.duration
+  });
+}
+
+export const describeRuleLabel = (rule) =>
+  hasMessage(`alerts.${rule.id}.label`) ? message(`alerts.${rule.id}.label`) : rule.id;
+
+export function createAlert(result) {
+  const { rule } = result;
+  const params = {
+    metric: describeMetric(rule.metric),
+    comparator: rule.comparator,
+    threshold: number(rule.threshold),
+    magnitude: number(Math.abs(rule.threshold)),
+    count: rule.duration
+  };
+  return {
+    id: rule.id,
+    level: rule.severity,
+    label: describeRuleLabel(rule),
+    detail: hasMessage(rule.message) ? message(rule.message, params) : rule.message,
+    value: result.value,
+    since: result.since
+  };
+}
+
+export const MAX_ALERT_LOG_EVENTS = 200;
+
+export function updateAlertLog(log, alerts, { date, sourceLabel }, superseded = {}) {
+  const activeIds = new Set(alerts.map((alert) => alert.id));
+  const next = log.map((event) => {
+    if (event.cleared || activeIds.has(event.id)) return event;
+    const closed = { ...event, cleared: date };
+    return superseded[event.id] ? { ...closed, supersededBy: superseded[event.id] } : closed;
+  });
+  alerts.forEach((alert) => {
+    const open = next.findIndex((event) => event.id === alert.id && !event.cleared);
+    if (open >= 0) {
+      next[open] = { ...next[open], level: alert.level, label: alert.label, lastSeen: date };
+      return;
+    }
+    next.push({
+      id: alert.id,
+      level: alert.level,
+      label: alert.label,
+      firstSeen: date,
+      lastSeen: date,
+      cleared: null,
+      sourceLabel
+    });
+  });
+  return next.slice(-MAX_ALERT_LOG_EVENTS);
+}
@@ -0,0 +1,213 @@
+import { GlacierModel } from './model.js';
+import { localizedError, message } from './i18n.js';
+
+export const CALIBRATED_PARAMS = ['accumulationRate', 'meltRate', 'sublimationRate'];
+
+export const DEFAULT_BOUNDS = {
+  accumulationRate: [0.01, 0.5],
+  meltRate: [0.005, 0.3],
+  sublimationRate: [0, 0.05]
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw localizedError('calibration.errors.invalidDate', { label, value: String(value) });
+  }
+  return date;
+}
+
+export function parseReferenceSeries(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.records) || !Array.isArray(data.weather)) {
+    throw localizedError('calibration.errors.shape');
+  }
+
+  const scale = Number.isFinite(data.scale) ? data.scale : 1;
+  const records = data.records.map((record, index) => {
+    if (!Number.isFinite(record.massBalance)) {
+      throw localizedError('calibration.errors.massBalance', { index: index + 1 });
+    }
+    const start = parseDate(
+      record.start ?? record.date,
+      message('calibration.errors.recordStart', { index: index + 1 })
+    );
+    const end = parseDate(
+      record.end ?? record.date,
+      message('calibration.errors.recordEnd', { index: index + 1 })
+    );
+    return { start, end, massBalance: record.massBalance * scale };
+  });
+
+  const weather = data.weather.map((day, index) => {
+    ['temperature', 'windSpeed', 'precipitation'].forEach((field) => {
+      if (!Number.isFinite(day[field])) {
+        throw localizedError('calibration.errors.weatherField', {
+          index: index + 1,
+          field: message(`qc.fields.${field}`)
+        });
+      }
+    });
+    return {
+      ...day,
+      date: parseDate(day.date, message('calibration.errors.weatherDate', { index: index + 1 }))
+    };
+  });
+
+  return {
+    glacierId: data.glacierId || null,
+    source: data.source || 'Reference series',
+    records,
+    weather
+  };
+}
+
+export function computeFitStatistics(predicted, observed) {
+  const n = Math.min(predicted.length, observed.length);
+  if (n === 0) {
+    return { n: 0, rmse: null, bias: null, correlation: null };
+  }
+
+  let sumSquared = 0;
+  let sumError = 0;
+  for (let i = 0; i < n; i += 1) {
+    const error = predicted[i] - observed[i];
+    sumSquared += error * error;
+    sumError += error;
+  }
+
+  const meanPredicted = predicted.slice(0, n).reduce((sum, value) => sum + value, 0) / n;
+  const meanObserved = observed.slice(0, n).reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variancePredicted = 0;
+  let varianceObserved = 0;
+  for (let i = 0; i < n; i += 1) {
+    const dp = predicted[i] - meanPredicted;
+    const dobs = observed[i] - meanObserved;
+    covariance += dp * dobs;
+    variancePredicted += dp * dp;
+    varianceObserved += dobs * dobs;
+  }
+  const denominator = Math.sqrt(variancePredicted * varianceObserved);
+
+  return {
+    n,
+    rmse: Math.sqrt(sumSquared / n),
+    bias: sumError / n,
+    correlation: denominator > 0 ? covariance / denominator : null
+  };
+}
+
+function buildDesignMatrix(reference, modelOptions) {
+  const unitModel = new GlacierModel({
+    ...modelOptions,
+    accumulationRate: 1,
+    meltRate: 1,
+    sublimationRate: 1
+  });
+
+  const dailyFeatures = new Map();
+  reference.weather.forEach((day) => {
+    const { accumulation, melt, sublimation } = unitModel.calculateBalanceComponents(day);
+    dailyFeatures.set(toDateKey(day.date), [accumulation, -melt, -sublimation]);
+  });
+
+  const rows = [];
+  const observed = [];
+  let skipped = 0;
+  reference.records.forEach((record) => {
+    const row = [0, 0, 0];
+    const cursor = new Date(record.start);
+    let complete = true;
+    while (cursor <= record.end) {
+      const features = dailyFeatures.get(toDateKey(cursor));
+      if (!features) {
+        complete = false;
+        break;
+      }
+      features.forEach((value, index) => {
+        row[index] += value;
+      });
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+    if (complete) {
+      rows.push(row);
+      observed.push(record.massBalance);
+    } else {
+      skipped += 1;
+    }
+  });
+
+  return { rows, observed, skipped };
+}
+
+function solveBoundedLeastSquares(rows, observed, initial, bounds, maxIterations = 500) {
+  const size = initial.length;
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+  const rhs = new Array(size).fill(0);
+  rows.forEach((row, r) => {
+    for (let i = 0; i < size; i += 1) {
+      rhs[i] += row[i] * observed[r];
+      for (let j = 0; j < size; j += 1) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  const theta = initial.map((value, i) => Math.max(bounds[i][0], Math.min(bounds[i][1], value)));
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations += 1) {
+    let maxStep = 0;
+    for (let i = 0; i < size; i += 1) {
+      if (normal[i][i] <= 0) continue;
+      let residual = rhs[i];
+      for (let j = 0; j < size; j += 1) {
+        if (j !== i) residual -= normal[i][j] * theta[j];
+      }
+      const next = Math.max(bounds[i][0], Math.min(bounds[i][1], residual / normal[i][i]));
+      maxStep = Math.max(maxStep, Math.abs(next - theta[i]));
+      theta[i] = next;
+    }
+    if (maxStep < 1e-10) break;
+  }
+
+  return { theta, iterations };
+}
+
+export function calibrateParameters(reference, modelOptions = {}, bounds = DEFAULT_BOUNDS) {
+  const { rows, observed, skipped } = buildDesignMatrix(reference, modelOptions);
+  if (rows.length < CALIBRATED_PARAMS.length) {
+    throw localizedError('calibration.errors.tooFewRecords', {
+      count: CALIBRATED_PARAMS.length,
+      found: rows.length
+    });
+  }
+
+  const defaults = new GlacierModel(modelOptions).params;
+  const { theta, iterations } = solveBoundedLeastSquares(
+    rows,
+    observed,
+    CALIBRATED_PARAMS.map((name) => defaults[name]),
+    CALIBRATED_PARAMS.map((name) => bounds[name] || DEFAULT_BOUNDS[name])
+  );
+
+  const params = CALIBRATED_PARAMS.reduce((acc, name, index) => {
+    acc[name] = theta[index];
+    return acc;
+  }, {});
+  const predicted = rows.map((row) => row.reduce((sum, value, i) => sum + value * theta[i], 0));
+
+  return {
+    params,
+    stats: {
+      ...computeFitStatistics(predicted, observed),
+      skipped,
+      iterations
+    },
+    strategyId: modelOptions.strategy || 'classic',
+    source: reference.source,
+    calibratedAt: new Date().toISOString()
+  };
+}
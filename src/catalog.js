@@ -0,0 +1,218 @@
+import catalogData from './data/glaciers.json';
+import { MASS_BALANCE_STRATEGIES } from './strategies.js';
+import { WEATHER_PROVIDERS } from './providers/index.js';
+import { fieldProblem, validateAlertRuleOverrides } from './alerts.js';
+import { localizedError, message } from './i18n.js';
+
+const MODEL_PARAMS = [
+  'accumulationRate',
+  'meltRate',
+  'sublimationRate',
+  'advancingThreshold',
+  'recedingThreshold'
+];
+
+export const GLACIER_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-]*$/ },
+  displayName: { type: 'string', required: true },
+  region: { type: 'string', required: (entry) => !entry.custom },
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+  provider: { type: 'string', enum: WEATHER_PROVIDERS.map((provider) => provider.id) },
+  strategy: { type: 'string', enum: MASS_BALANCE_STRATEGIES.map((strategy) => strategy.id) },
+  stationBlend: { type: 'number', min: 1, max: 5 },
+  params: { type: 'object', keys: MODEL_PARAMS, valueType: 'number' },
+  alertRules: { type: 'object' },
+  hypsometry: { type: 'object' },
+  info: { type: 'object' },
+  custom: { type: 'boolean' }
+};
+
+const INFO_SECTIONS = ['origin', 'timeline', 'facts', 'matters'];
+
+const LEGACY_CUSTOM_REGION = 'Custom site';
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const mustBe = (type) => message('validation.type', { type });
+
+function validateHypsometry(hypsometry, errors) {
+  if (!Array.isArray(hypsometry.bands)) {
+    errors.push(fieldProblem('hypsometry.bands', mustBe('array')));
+    return;
+  }
+  hypsometry.bands.forEach((band, index) => {
+    ['minElevation', 'maxElevation', 'areaFraction'].forEach((field) => {
+      if (!Number.isFinite(band?.[field])) {
+        errors.push(fieldProblem(`hypsometry.bands[${index}].${field}`, mustBe('number')));
+      }
+    });
+    if (band && band.maxElevation <= band.minElevation) {
+      errors.push(fieldProblem(`hypsometry.bands[${index}]`, message('validation.bandOrder')));
+    }
+  });
+}
+
+function validateInfo(info, errors) {
+  if (info.subtitle !== undefined && typeof info.subtitle !== 'string') {
+    errors.push(fieldProblem('info.subtitle', mustBe('string')));
+  }
+  INFO_SECTIONS.forEach((section) => {
+    const items = info[section];
+    if (items === undefined) return;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+      errors.push(fieldProblem(`info.${section}`, message('validation.stringList')));
+    }
+  });
+}
+
+export function validateGlacier(entry) {
+  if (typeOf(entry) !== 'object') {
+    return [fieldProblem('entry', mustBe('object'))];
+  }
+
+  const errors = [];
+  Object.entries(GLACIER_SCHEMA).forEach(([field, rule]) => {
+    const value = entry[field];
+    if (value === undefined) {
+      const required = typeof rule.required === 'function' ? rule.required(entry) : rule.required;
+      if (required) errors.push(fieldProblem(field, message('validation.required')));
+      return;
+    }
+    if (typeOf(value) !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+      errors.push(fieldProblem(field, mustBe(rule.type)));
+      return;
+    }
+    if (rule.type === 'string' && !value.trim()) {
+      errors.push(fieldProblem(field, message('validation.empty')));
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(fieldProblem(field, message('validation.format', { value })));
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(
+        fieldProblem(field, message('validation.oneOf', { values: rule.enum.join(', ') }))
+      );
+    }
+    if (rule.min !== undefined && (value < rule.min || value > rule.max)) {
+      errors.push(
+        fieldProblem(field, message('validation.between', { min: rule.min, max: rule.max }))
+      );
+    }
+    if (rule.keys) {
+      Object.entries(value).forEach(([key, item]) => {
+        if (!rule.keys.includes(key)) {
+          errors.push(fieldProblem(`${field}.${key}`, message('validation.unknownParam')));
+        } else if (typeof item !== rule.valueType || !Number.isFinite(item)) {
+          errors.push(fieldProblem(`${field}.${key}`, mustBe(rule.valueType)));
+        }
+      });
+    }
+  });
+
+  if (typeOf(entry.hypsometry) === 'object') {
+    validateHypsometry(entry.hypsometry, errors);
+  }
+  if (typeOf(entry.info) === 'object') {
+    validateInfo(entry.info, errors);
+  }
+  if (typeOf(entry.alertRules) === 'object') {
+    errors.push(...validateAlertRuleOverrides(entry.alertRules));
+  }
+  return errors;
+}
+
+function fromGeoJsonFeature(feature) {
+  const [longitude, latitude] = feature?.geometry?.coordinates || [];
+  return { ...feature?.properties, latitude, longitude };
+}
+
+function defaultInfo(glacier) {
+  return {
+    subtitle: message(glacier.custom ? 'info.customSubtitle' : 'info.defaultSubtitle'),
+    origin: [message('info.defaultOrigin', { name: glacier.displayName, region: glacier.region })],
+    timeline: [],
+    facts: [],
+    matters: []
+  };
+}
+
+function normalizeRegion(entry) {
+  const region = entry.region?.trim();
+  if (entry.custom && (!region || region === LEGACY_CUSTOM_REGION)) {
+    return message('addGlacier.defaultRegion');
+  }
+  return region;
+}
+
+export function normalizeGlacier(entry) {
+  const glacier = {
+    provider: 'open-meteo',
+    ...entry,
+    displayName: entry.displayName.trim(),
+    region: normalizeRegion(entry)
+  };
+  const info = { ...defaultInfo(glacier), ...(glacier.custom ? {} : entry.info) };
+  INFO_SECTIONS.forEach((section) => {
+    info[section] = info[section] || [];
+  });
+  return { ...glacier, info };
+}
+
+export function parseGlacierCatalog(data) {
+  const entries =
+    data?.type === 'FeatureCollection' && Array.isArray(data.features)
+      ? data.features.map(fromGeoJsonFeature)
+      : data?.glaciers;
+  if (!Array.isArray(entries)) {
+    throw localizedError('validation.catalogShape');
+  }
+
+  const seen = new Set();
+  const problems = [];
+  entries.forEach((entry, index) => {
+    const label = entry?.id || message('validation.entry', { index: index + 1 });
+    const errors = validateGlacier(entry);
+    if (!errors.length && seen.has(entry.id)) {
+      errors.push(fieldProblem('id', message('validation.duplicate', { value: entry.id })));
+    }
+    seen.add(entry?.id);
+    errors.forEach((error) => problems.push(message('validation.entryProblem', { label, error })));
+  });
+  if (problems.length) {
+    throw localizedError('validation.catalogInvalid', { problems });
+  }
+
+  return entries.map(normalizeGlacier);
+}
+
+export function loadGlacierCatalog() {
+  return parseGlacierCatalog(catalogData);
+}
+
+export function createCustomGlacier({ name, latitude, longitude, provider, region }, existingIds = []) {
+  const displayName = typeof name === 'string' ? name.trim() : '';
+  const slug = displayName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  let id = `custom-${slug || 'glacier'}`;
+  for (let suffix = 2; existingIds.includes(id); suffix += 1) {
+    id = `custom-${slug || 'glacier'}-${suffix}`;
+  }
+
+  const entry = {
+    id,
+    displayName,
+    ...(typeof region === 'string' && region.trim() ? { region: region.trim() } : {}),
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    provider: provider || 'open-meteo',
+    custom: true
+  };
+  const errors = validateGlacier(entry);
+  if (errors.length) {
+    throw localizedError('validation.glacierInvalid', { problems: errors });
+  }
+  return entry;
+}
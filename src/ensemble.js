@@ -0,0 +1,111 @@
+import { gaussianRandom, percentile, seededRandom } from './random.js';
+
+export const ENSEMBLE_DEFAULTS = {
+  members: 50,
+  perturbParams: false,
+  temperatureBias: 1.0,
+  temperatureNoise: 1.5,
+  windNoise: 3.0,
+  precipitationNoise: 0.35,
+  paramSpread: 0.2
+};
+
+const PERTURBED_PARAMS = ['accumulationRate', 'meltRate', 'sublimationRate'];
+const MEMBER_HISTORY_DAYS = 30;
+export const MAX_ENSEMBLE_MEMBER_DAYS = 40000;
+const YIELD_MEMBER_DAYS = 1000;
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString().slice(0, 10) : null);
+
+const yieldToMainThread = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function summarize(values) {
+  return {
+    p10: percentile(values, 0.1),
+    p50: percentile(values, 0.5),
+    p90: percentile(values, 0.9)
+  };
+}
+
+function perturbSeries(series, settings, normal) {
+  const bias = normal() * settings.temperatureBias;
+  return series.map((day) => ({
+    ...day,
+    temperature: day.temperature + bias + normal() * settings.temperatureNoise,
+    windSpeed: Math.max(0, day.windSpeed + normal() * settings.windNoise),
+    precipitation: Math.max(0, day.precipitation * (1 + normal() * settings.precipitationNoise))
+  }));
+}
+
+function perturbParams(params, settings, normal) {
+  return PERTURBED_PARAMS.reduce((acc, name) => {
+    acc[name] = params[name] * Math.exp(normal() * settings.paramSpread);
+    return acc;
+  }, {});
+}
+
+export async function runEnsemble({
+  model,
+  series,
+  sourceLabel,
+  seed = 1,
+  signal = null,
+  onProgress = null,
+  ...options
+}) {
+  const settings = { ...ENSEMBLE_DEFAULTS, ...options };
+  const normal = gaussianRandom(seededRandom(seed));
+  const requestedCount = Math.max(1, Math.round(settings.members));
+  const memberCount = Math.max(
+    1,
+    Math.min(requestedCount, Math.floor(MAX_ENSEMBLE_MEMBER_DAYS / Math.max(1, series.length)))
+  );
+  const dayKeys = series.map((day) => toDateKey(day.date));
+  const healthByDay = dayKeys.map(() => []);
+  const changeByDay = dayKeys.map(() => []);
+  const members = [];
+  const base = model.clone();
+  let daysSinceYield = 0;
+
+  for (let m = 0; m < memberCount; m += 1) {
+    if (daysSinceYield >= YIELD_MEMBER_DAYS) {
+      onProgress?.(m, memberCount);
+      await yieldToMainThread();
+      daysSinceYield = 0;
+    }
+    if (signal?.aborted) return null;
+    const overrides = settings.perturbParams ? perturbParams(base.params, settings, normal) : {};
+    const member = base.clone(overrides);
+    member.maxHistory = MEMBER_HISTORY_DAYS;
+    member.tracksAlerts = false;
+    perturbSeries(series, settings, normal).forEach((day, index) => {
+      member.applyDailyObservation(day, sourceLabel);
+      const latest = member.history[member.history.length - 1];
+      healthByDay[index].push(latest.healthIndex);
+      changeByDay[index].push(latest.dailyChange);
+    });
+    members.push({
+      healthIndex: member.healthIndex,
+      sevenDayTrend: member.getSevenDayTrend()
+    });
+    daysSinceYield += series.length;
+  }
+  onProgress?.(memberCount, memberCount);
+
+  const finalHealth = members.map((member) => member.healthIndex);
+
+  return {
+    size: memberCount,
+    requestedSize: requestedCount,
+    seed,
+    perturbParams: settings.perturbParams,
+    sourceLabel,
+    days: dayKeys.map((dateKey, index) => ({
+      dateKey,
+      health: summarize(healthByDay[index]),
+      change: summarize(changeByDay[index])
+    })),
+    members,
+    finalHealth: summarize(finalHealth)
+  };
+}
@@ -0,0 +1,175 @@
+import { INPUT_FIELDS } from './model.js';
+import { FIELD_QUANTITIES, convertValue, normalizeUnitSystem, unitLabel } from './units.js';
+import { getLocale, translateMessage } from './i18n.js';
+import { createZip } from './zip.js';
+
+const HISTORY_COLUMNS = [
+  'date',
+  'days',
+  'dailyChange',
+  'healthIndex',
+  'sourceLabel',
+  ...INPUT_FIELDS,
+  'qc'
+];
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString().slice(0, 10) : '');
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function unitColumns(units) {
+  return INPUT_FIELDS.reduce((acc, field) => {
+    acc[field] = unitLabel(FIELD_QUANTITIES[field], units);
+    return acc;
+  }, {});
+}
+
+export function historyToRows(history, units) {
+  return history.map((entry) => ({
+    date: toDateKey(entry.date),
+    days: entry.days ?? 1,
+    dailyChange: entry.dailyChange,
+    healthIndex: entry.healthIndex,
+    sourceLabel: entry.sourceLabel,
+    ...INPUT_FIELDS.reduce((acc, field) => {
+      acc[field] = convertValue(entry.inputs?.[field], FIELD_QUANTITIES[field], units);
+      return acc;
+    }, {}),
+    qc: entry.qc?.length
+      ? entry.qc
+          .map((flag) => `${flag.field}:${flag.check}${flag.repair ? `>${flag.repair}` : ''}`)
+          .join(';')
+      : null
+  }));
+}
+
+function rowsToCsv(rows, units) {
+  const columnUnits = unitColumns(units);
+  const header = HISTORY_COLUMNS.map((column) =>
+    csvCell(columnUnits[column] ? `${column} (${columnUnits[column]})` : column)
+  );
+  const lines = rows.map((row) => HISTORY_COLUMNS.map((column) => csvCell(row[column])).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+export function historyToCsv(history, units) {
+  return rowsToCsv(historyToRows(history, units), units);
+}
+
+export function buildRunReport({
+  glacier,
+  model,
+  scenario,
+  observation,
+  units,
+  exportedAt = new Date()
+}) {
+  const alerts = model.getAlerts();
+  const confidence = model.getConfidence();
+  const projection = model.getTimeToLoss();
+  const state = model.getState();
+  return {
+    exportedAt: exportedAt.toISOString(),
+    glacier: {
+      id: glacier.id,
+      displayName: glacier.displayName,
+      region: translateMessage(glacier.region),
+      latitude: glacier.latitude,
+      longitude: glacier.longitude,
+      provider: glacier.provider
+    },
+    metadata: {
+      strategy: { id: model.strategy.id, name: model.strategy.name },
+      params: { ...model.params },
+      calibration: model.profile
+        ? { source: model.profile.source, calibratedAt: model.profile.calibratedAt }
+        : null,
+      scenario: scenario || null,
+      units: {
+        system: normalizeUnitSystem(units),
+        columns: unitColumns(units),
+        state: { equilibriumLineAltitude: unitLabel('elevation', units) }
+      },
+      locale: getLocale(),
+      dataContext: { ...model.dataContext },
+      ensemble: model.ensemble
+        ? {
+            size: model.ensemble.size,
+            seed: model.ensemble.seed,
+            perturbParams: model.ensemble.perturbParams
+          }
+        : null
+    },
+    state: {
+      ...state,
+      equilibriumLineAltitude: convertValue(state.equilibriumLineAltitude, 'elevation', units)
+    },
+    alerts: alerts.map(({ level, label, detail }) => ({
+      level,
+      label: translateMessage(label),
+      detail: translateMessage(detail)
+    })),
+    confidence: { level: confidence.level, reasons: confidence.reasons.map(translateMessage) },
+    projection: { ...projection, message: translateMessage(projection.message) },
+    summary: observation
+      ? model
+          .getSummary(observation, { alerts, confidence, projection, units })
+          .map(translateMessage)
+          .join(' ')
+      : null,
+    history: historyToRows(model.getHistory(), units)
+  };
+}
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function createReportBundle(report, charts = {}) {
+  const files = [
+    { name: 'report.json', data: JSON.stringify(report, null, 2) },
+    { name: 'history.csv', data: rowsToCsv(report.history, report.metadata.units.system) },
+    {
+      name: 'metadata.json',
+      data: JSON.stringify(
+        { exportedAt: report.exportedAt, glacier: report.glacier, ...report.metadata },
+        null,
+        2
+      )
+    }
+  ];
+  if (report.summary) {
+    files.push({ name: 'summary.txt', data: `${report.summary}\n` });
+  }
+  Object.entries(charts).forEach(([name, dataUrl]) => {
+    if (dataUrl) {
+      files.push({ name: `${name}.png`, data: dataUrlToBytes(dataUrl) });
+    }
+  });
+  return createZip(files, new Date(report.exportedAt));
+}
+
+export function exportFilename(report, extension) {
+  const stamp = report.exportedAt.slice(0, 10);
+  return `${report.glacier.id}-${stamp}.${extension}`;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
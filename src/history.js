@@ -0,0 +1,89 @@
+import { message } from './i18n.js';
+
+export const DEFAULT_MAX_HISTORY = 30;
+export const PERSISTED_DAILY_DAYS = 400;
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString().slice(0, 10) : null);
+
+export const entryDays = (entry) => entry.days ?? 1;
+
+export const entryMassChange = (entry) => entry.massChange ?? entry.dailyChange;
+
+export function chooseResolution(windowDays) {
+  if (windowDays <= 90) return 'daily';
+  if (windowDays <= 730) return 'weekly';
+  return 'monthly';
+}
+
+function bucketStart(date, resolution) {
+  if (resolution === 'monthly') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+export function aggregateHistory(history, resolution) {
+  if (resolution === 'daily') return history;
+
+  const buckets = [];
+  history.forEach((entry) => {
+    if (!(entry.date instanceof Date)) return;
+    const start = bucketStart(entry.date, resolution);
+    const key = toDateKey(start);
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.key !== key) {
+      bucket = {
+        key,
+        date: start,
+        endDate: start,
+        massChange: 0,
+        days: 0,
+        healthIndex: null,
+        sourceLabel: null
+      };
+      buckets.push(bucket);
+    }
+    bucket.massChange += entryMassChange(entry);
+    bucket.days += entryDays(entry);
+    bucket.endDate = entry.endDate ?? entry.date;
+    bucket.healthIndex = entry.healthIndex;
+    bucket.sourceLabel = entry.sourceLabel;
+  });
+
+  return buckets.map(({ key, ...bucket }) => ({
+    ...bucket,
+    dailyChange: bucket.days > 0 ? bucket.massChange / bucket.days : 0,
+    aggregated: true,
+    resolution
+  }));
+}
+
+export function compactHistory(history, keepDailyDays = PERSISTED_DAILY_DAYS) {
+  if (history.length <= keepDailyDays) return history;
+  const older = history.slice(0, -keepDailyDays);
+  const recent = history.slice(-keepDailyDays);
+  return [...aggregateHistory(older, 'monthly'), ...recent];
+}
+
+export function compactSnapshot(snapshot) {
+  if (!snapshot) return snapshot;
+  return {
+    ...snapshot,
+    history: compactHistory(snapshot.history),
+    ensemble: snapshot.ensemble
+      ? { ...snapshot.ensemble, days: snapshot.ensemble.days.slice(-PERSISTED_DAILY_DAYS) }
+      : null
+  };
+}
+
+export function describeWindow(days) {
+  if (days >= 365) {
+    const years = Math.round((days / 365) * 10) / 10;
+    return message('chart.window.years', { count: years });
+  }
+  return message('chart.window.days', { count: days });
+}
@@ -0,0 +1,110 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+
+export const LOCALES = [
+  { id: 'en', name: 'English', intl: 'en-US', catalog: en },
+  { id: 'es', name: 'Español', intl: 'es', catalog: es }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+let activeLocale = DEFAULT_LOCALE;
+
+const localeEntry = (id) => LOCALES.find((locale) => locale.id === id) || LOCALES[0];
+
+const isPluralForms = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.other === 'string';
+
+export function normalizeLocale(locale) {
+  if (LOCALES.some((entry) => entry.id === locale)) return locale;
+  const base = String(locale || '')
+    .toLowerCase()
+    .split('-')[0];
+  return LOCALES.some((entry) => entry.id === base) ? base : DEFAULT_LOCALE;
+}
+
+export function setLocale(locale) {
+  activeLocale = normalizeLocale(locale);
+  return activeLocale;
+}
+
+export function getLocale() {
+  return activeLocale;
+}
+
+export const intlLocale = () => localeEntry(activeLocale).intl;
+
+export const message = (key, params = {}) => ({ key, params });
+
+export const isMessage = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+
+export const number = (value, digits, { signed = false } = {}) => ({ number: value, digits, signed });
+
+function lookup(key) {
+  for (const id of new Set([activeLocale, DEFAULT_LOCALE])) {
+    const entry = localeEntry(id);
+    const value = key.split('.').reduce((node, part) => node?.[part], entry.catalog);
+    if (typeof value === 'string' || isPluralForms(value)) {
+      return { value, intl: entry.intl };
+    }
+  }
+  return null;
+}
+
+export function hasMessage(key) {
+  return lookup(key) !== null;
+}
+
+export function formatNumber(value, digits, { signed = false } = {}) {
+  if (!Number.isFinite(value)) return '--';
+  return new Intl.NumberFormat(intlLocale(), {
+    minimumFractionDigits: digits ?? 0,
+    maximumFractionDigits: digits ?? 3,
+    signDisplay: signed ? 'exceptZero' : 'auto'
+  }).format(value);
+}
+
+export function formatDate(date, options) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '--';
+  return new Intl.DateTimeFormat(intlLocale(), options).format(date);
+}
+
+function formatParam(value, intl) {
+  if (isMessage(value)) return translateMessage(value);
+  if (Array.isArray(value)) {
+    return new Intl.ListFormat(intl, { type: 'conjunction' }).format(
+      value.map((item) => formatParam(item, intl))
+    );
+  }
+  if (value && typeof value === 'object' && 'number' in value) {
+    return formatNumber(value.number, value.digits, { signed: value.signed });
+  }
+  if (typeof value === 'number') return formatNumber(value);
+  if (value instanceof Date) return formatDate(value, { dateStyle: 'medium' });
+  return value ?? '';
+}
+
+export function translate(key, params = {}) {
+  const found = lookup(key);
+  if (!found) return key;
+  let template = found.value;
+  if (typeof template !== 'string') {
+    const count = Number(params.count?.number ?? params.count ?? 0);
+    template = template[new Intl.PluralRules(found.intl).select(count)] ?? template.other;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? formatParam(params[name], found.intl) : match
+  );
+}
+
+export function translateMessage(value) {
+  return isMessage(value) ? translate(value.key, value.params) : value ?? '';
+}
+
+export function localizedError(key, params = {}) {
+  const detail = message(key, params);
+  return Object.assign(new Error(translateMessage(detail)), { detail });
+}
+
+export const errorMessage = (error) => error?.detail || error?.message || '';
@@ -1,132 +1,204 @@
 import { WeatherService } from './weather.js';
 import { GlacierModel } from './model.js';
 import { DashboardUI } from './ui.js';
+import { StateStore, createStore } from './storage.js';
+import { MASS_BALANCE_STRATEGIES } from './strategies.js';
+import { calibrateParameters, parseReferenceSeries } from './calibration.js';
+import { runEnsemble } from './ensemble.js';
+import { compactSnapshot } from './history.js';
+import { checkObservation, checkSeries, describeQcFlag } from './qc.js';
+import {
+  buildRunReport,
+  createReportBundle,
+  downloadBlob,
+  exportFilename,
+  historyToCsv
+} from './export.js';
+import {
+  FIELD_STATION_LABEL,
+  FieldStationService,
+  STATION_FIELDS,
+  buildStationSeries,
+  createStationDataset,
+  describeStationIssues,
+  guessColumnMapping,
+  parseCsv
+} from './stations.js';
+import { decodeRunLink, encodeRunLink } from './permalink.js';
+import { UNIT_SYSTEMS, normalizeUnitSystem } from './units.js';
+import {
+  LOCALES,
+  errorMessage,
+  localizedError,
+  message,
+  setLocale,
+  translateMessage
+} from './i18n.js';
+import { diffAlertRules, resolveAlertRules } from './alerts.js';
+import {
+  WEATHER_PROVIDERS,
+  clearRequestCache,
+  getNetworkDiagnostics,
+  onNetworkActivity
+} from './providers/index.js';
+import {
+  createCustomGlacier,
+  loadGlacierCatalog,
+  normalizeGlacier,
+  validateGlacier
+} from './catalog.js';
+import {
+  BUILT_IN_SCENARIOS,
+  SCENARIO_FIELDS,
+  createScenarioId,
+  normalizeScenario
+} from './scenarios.js';
 
-const GLACIERS = [
-  {
-    id: 'mendenhall',
-    displayName: 'Mendenhall Glacier',
-    latitude: 58.4,
-    longitude: -134.4,
-    region: 'Juneau, Alaska',
-    info: {
-      subtitle: 'History, context, and fast facts.',
-      origin: [
-        'Mendenhall Glacier (also known by Tlingit names, and once called "Auk Glacier") is a 13 to 13.6 mile long valley glacier in the Mendenhall Valley near Juneau, Alaska.',
-        'It flows out of the Juneau Icefield, a roughly 1,500 square mile icefield that feeds dozens of glaciers, and terminates at Mendenhall Lake inside the federally managed Mendenhall Glacier Recreation Area within Tongass National Forest.',
-        'The modern name honors Thomas Corwin Mendenhall (U.S. Coast and Geodetic Survey). John Muir referred to it as "Auk Glacier" in the late 1800s.'
-      ],
-      timeline: [
-        'Little Ice Age peak to modern retreat: maximum advance occurred around the mid-1700s; retreat begins after that period as climate conditions shift.',
-        'Mendenhall Lake began forming in the early 1900s as the glacier pulled back; multiple sources note a benchmark around 1929 when the lake was created/exposed.',
-        'Mapped terminus positions show roughly 5,513 meters (18,087 feet / 3.4 miles) of centerline retreat over 261 years (1760 to 2021), with the fastest retreat rates in 2007 to 2011 as calving accelerated.',
-        'In November 2025, researchers reported the glacier was no longer functionally touching Mendenhall Lake, marking a new phase of retreat.'
-      ],
-      facts: [
-        'It shapes Juneau\'s watershed: the glacier feeds Mendenhall Lake and the Mendenhall River, influencing water levels and seasonal flow.',
-        'Ice caves exist but are unstable and change year to year. Public safety warnings are common because roofs thin and can collapse.',
-        'It is one of Alaska\'s most visited easy-access glacier destinations, with visitor counts historically in the hundreds of thousands per year.'
-      ],
-      matters: [
-        'Mendenhall is a visible, local climate signal. Retreat after the Little Ice Age maximum has steepened in recent decades tied to regional warming trends.',
-        'Retreat changes what visitors can see and access, and researchers expect the glacier may retreat out of view from the visitor center\'s classic vantage point around 2050.',
-        'Juneau faces outburst flood risk tied to changes in glacier geometry and the formation of the ice-dammed Suicide Basin.'
-      ]
-    }
-  },
-  {
-    id: 'hubbard',
-    displayName: 'Hubbard Glacier',
-    latitude: 60.3139,
-    longitude: -139.3708,
-    region: 'Yakutat Bay, Alaska',
-    provider: 'nws-hybrid',
-    info: {
-      subtitle: 'History, context, and fast facts.',
-      origin: [
-        'Hubbard Glacier is a massive tidewater glacier flowing from the Saint Elias Mountains into Disenchantment Bay and Russell Fjord near Yakutat Bay.',
-        'It is commonly cited as the largest tidewater glacier in North America, with a very wide, tall calving front.',
-        'Named for Gardiner Hubbard, it remains one of Alaska\'s most active, glacier-fed marine systems.'
-      ],
-      timeline: [
-        'Hubbard has been in a long-term advancing phase for much of the 20th century, periodically surging forward into fjord waters.',
-        'Advances have occasionally dammed Russell Fjord, briefly turning it into a freshwater lake before catastrophic outburst.',
-        'The glacier continues to calve heavily while still maintaining overall forward motion compared to many retreating glaciers.'
-      ],
-      facts: [
-        'Its calving front is several miles wide and rises well above the waterline, making it visually dramatic and hazardous to approach.',
-        'Hubbard\'s growth can temporarily block fjord circulation, affecting local ecosystems and navigation.',
-        'It is fed by multiple tributary glaciers and deep snowfall from the surrounding mountains.'
-      ],
-      matters: [
-        'Hubbard is a useful counterexample to widespread retreat, showing that local dynamics and supply can still drive advance.',
-        'Calving activity and fjord blockages can change water circulation and marine habitat conditions.',
-        'Its behavior helps scientists study tidewater glacier stability and surge cycles.'
-      ]
-    }
-  },
-  {
-    id: 'columbia',
-    displayName: 'Columbia Glacier',
-    latitude: 61.1,
-    longitude: -147.0,
-    region: 'Prince William Sound, Alaska',
-    provider: 'nws-hybrid',
-    info: {
-      subtitle: 'History, context, and fast facts.',
-      origin: [
-        'Columbia Glacier is a large tidewater glacier in Prince William Sound, flowing out of the Chugach Mountains.',
-        'It is one of the most studied retreating tidewater glaciers in North America.',
-        'Its terminus lies in a fjord with deep water that supports rapid calving when the glacier thins.'
-      ],
-      timeline: [
-        'The glacier began a rapid retreat phase in the late 20th century after becoming unstable in deep water.',
-        'Retreat rates increased as the terminus pulled back into deeper fjord sections, accelerating calving.',
-        'Ongoing monitoring tracks continued thinning and retreat, making it a benchmark for tidewater glacier change.'
-      ],
-      facts: [
-        'Columbia Glacier can produce large icebergs that drift into Prince William Sound shipping lanes.',
-        'The retreat has exposed new fjord waters and changed local sediment and habitat dynamics.',
-        'It is frequently referenced in glacier stability and sea-level rise research.'
-      ],
-      matters: [
-        'Columbia\'s rapid retreat offers clear evidence of how marine-terminating glaciers can destabilize quickly.',
-        'Iceberg production impacts navigation and coastal ecosystems in Prince William Sound.',
-        'Its data record helps improve projections for other tidewater glaciers.'
-      ]
-    }
+const ui = new DashboardUI();
+
+const reportStorageError = ({ store: name, quota }) => {
+  ui.updateStorageStatus(
+    message(quota ? 'storage.full' : 'storage.failed', { item: message(`storage.items.${name}`) })
+  );
+};
+
+const storeOptions = { onError: reportStorageError };
+const store = new StateStore(storeOptions);
+const profileStore = createStore('profiles', storeOptions);
+const alertRuleStore = createStore('alertRules', storeOptions);
+const presetStore = createStore('presets', storeOptions);
+const customGlacierStore = createStore('customGlaciers', storeOptions);
+const stationStore = createStore('stations', storeOptions);
+const offlineStore = createStore('offline', storeOptions);
+const settingsStore = createStore('settings', storeOptions);
+const settings = settingsStore.loadAll();
+const queuedRefreshes = new Map();
+
+const GLACIERS = loadGlacierCatalog();
+customGlacierStore.loadAll().forEach((entry) => {
+  if (validateGlacier(entry).length || GLACIERS.some((glacier) => glacier.id === entry.id)) {
+    return;
   }
-];
+  GLACIERS.push(normalizeGlacier(entry));
+});
 
-const ui = new DashboardUI();
+function createWeatherService(glacier, dataset) {
+  const options = {
+    latitude: glacier.latitude,
+    longitude: glacier.longitude,
+    elevation: glacier.hypsometry?.referenceElevation,
+    stationBlend: glacier.stationBlend,
+    name: glacier.displayName,
+    timezone: 'auto',
+    provider: glacier.provider
+  };
+  return dataset ? new FieldStationService({ ...options, dataset }) : new WeatherService(options);
+}
 
-const glacierState = GLACIERS.reduce((acc, glacier) => {
-  acc[glacier.id] = {
+function loadStationDataset(glacierId) {
+  const dataset = stationStore.load(glacierId);
+  return Array.isArray(dataset?.series) && dataset.series.length ? dataset : null;
+}
+
+function saveOfflineCopy(glacierId, kind, result) {
+  return offlineStore.save(glacierId, {
+    ...offlineStore.load(glacierId),
+    [kind]: { result, savedAt: new Date().toISOString() }
+  });
+}
+
+function createGlacierState(glacier) {
+  return {
     glacier,
-    weather: new WeatherService({
+    weather: createWeatherService(glacier, loadStationDataset(glacier.id)),
+    model: new GlacierModel({
+      hypsometry: glacier.hypsometry,
+      strategy: glacier.strategy,
       latitude: glacier.latitude,
-      longitude: glacier.longitude,
-      name: glacier.displayName,
-      timezone: 'auto',
-      provider: glacier.provider
+      baseParams: glacier.params,
+      profile: profileStore.load(glacier.id),
+      alertRules: resolveAlertRules(glacier.alertRules, alertRuleStore.load(glacier.id))
     }),
-    model: new GlacierModel(),
     baselineSnapshot: null,
     lastObservedDateKey: null,
     lastObservedData: null,
     scenarioMode: false,
     scenarioLabel: 'Live baseline',
     currentScenario: null,
+    lastRun: { mode: 'live' },
     chartWindowDays: 30,
     lastSimulationSource: 'Observed',
     lastStatus: { ok: false, isStale: true },
+    qcRejection: null,
     lastSummaryData: null,
     lastScenarioDisplayData: null
   };
+}
+
+const glacierState = GLACIERS.reduce((acc, glacier) => {
+  acc[glacier.id] = createGlacierState(glacier);
   return acc;
 }, {});
 
 let activeGlacierId = GLACIERS[0].id;
+let fleetMode = false;
+let alertEditorGlacierId = null;
+
+function serializeGlacierState(state) {
+  return {
+    model: compactSnapshot(state.model.getSnapshot()),
+    strategyId: state.model.strategy.id,
+    baselineSnapshot: compactSnapshot(state.baselineSnapshot),
+    lastObservedDateKey: state.lastObservedDateKey,
+    scenarioMode: state.scenarioMode,
+    scenarioLabel: state.scenarioLabel,
+    currentScenario: state.currentScenario,
+    lastRun: state.lastRun,
+    chartWindowDays: state.chartWindowDays,
+    lastSimulationSource: state.lastSimulationSource,
+    lastSummaryData: state.lastSummaryData,
+    lastScenarioDisplayData: state.lastScenarioDisplayData
+  };
+}
+
+function restoreGlacierState(state, saved) {
+  if (!saved) return;
+  if (saved.strategyId) {
+    state.model.setStrategy(saved.strategyId);
+  }
+  state.model.setSnapshot(saved.model);
+  state.baselineSnapshot = saved.baselineSnapshot || null;
+  state.lastObservedDateKey = saved.lastObservedDateKey || null;
+  state.scenarioMode = Boolean(saved.scenarioMode && saved.lastScenarioDisplayData);
+  state.scenarioLabel = state.scenarioMode ? saved.scenarioLabel : 'Live baseline';
+  state.currentScenario = state.scenarioMode ? saved.currentScenario : null;
+  state.lastRun = saved.lastRun || { mode: 'live' };
+  state.chartWindowDays = saved.chartWindowDays || 30;
+  state.lastSimulationSource = saved.lastSimulationSource || 'Observed';
+  state.lastSummaryData = saved.lastSummaryData || null;
+  state.lastScenarioDisplayData = state.scenarioMode ? saved.lastScenarioDisplayData : null;
+}
+
+function persistState() {
+  const glaciers = Object.keys(glacierState).reduce((acc, glacierId) => {
+    acc[glacierId] = serializeGlacierState(glacierState[glacierId]);
+    return acc;
+  }, {});
+  store.save({ activeGlacierId, glaciers });
+}
+
+function restoreState() {
+  const saved = store.load();
+  if (!saved) return;
+  Object.entries(saved.glaciers).forEach(([glacierId, entry]) => {
+    if (glacierState[glacierId]) {
+      restoreGlacierState(glacierState[glacierId], entry);
+    }
+  });
+  if (saved.activeGlacierId && glacierState[saved.activeGlacierId]) {
+    activeGlacierId = saved.activeGlacierId;
+  }
+}
 
 const infoPanel = document.getElementById('info-panel');
 const infoButton = document.getElementById('glacier-info');
@@ -145,21 +217,177 @@ function toDateKey(date) {
   return date.toISOString().slice(0, 10);
 }
 
+function getScenarioPresets() {
+  return [...BUILT_IN_SCENARIOS, ...presetStore.loadAll().map(normalizeScenario)];
+}
+
 function getActiveState() {
   return glacierState[activeGlacierId];
 }
 
-async function loadCurrentConditions(reset = false, forceFetch = false) {
-  const state = getActiveState();
-  const result = await state.weather.fetchCurrent({ force: forceFetch });
+async function backfillHistory(state, untilDate) {
+  const backfill = await state.weather.fetchHistoricalSeries(
+    state.model.maxHistory - 1,
+    untilDate
+  );
+  const untilKey = toDateKey(untilDate);
+  const series =
+    backfill.sourceLabel === 'Simulated'
+      ? backfill.series || []
+      : checkSeries(backfill.series || []).series;
+  state.model.resetWithObservation(null, backfill.sourceLabel);
+  state.model.setDataContext({
+    sourceLabel: backfill.sourceLabel,
+    isFallback: backfill.sourceLabel === 'Simulated',
+    isForecast: false,
+    isScenario: false,
+    historySource: backfill.sourceLabel,
+    historyGapDays: backfill.missingDays || 0
+  });
+  series
+    .filter((day) => toDateKey(day.date) < untilKey)
+    .forEach((day) => {
+      state.model.applyDailyObservation(day, day.sourceLabel || backfill.sourceLabel);
+    });
+  return backfill;
+}
+
+const recentInputs = (state) =>
+  state.model
+    .getHistory()
+    .filter((entry) => entry.inputs && !entry.aggregated)
+    .map((entry) => ({ ...entry.inputs, date: entry.date }));
+
+async function applyQualityControl(state, result) {
+  if (!result.ok || !result.data) return result;
+  const recent = recentInputs(state);
+  let checked = checkObservation(result.data, recent, { persist: false });
+  if (checked.unresolved.length > 0) {
+    const backup = await state.weather.fetchBackupCurrent();
+    checked = checkObservation(result.data, recent, { backup: backup?.ok ? backup.data : null });
+  }
+  if (!checked.usable) {
+    const qcRejection = message('qc.rejected', {
+      source: result.sourceLabel,
+      checks: checked.flags
+        .filter((flag) => checked.unresolved.includes(flag.field))
+        .map(describeQcFlag)
+    });
+    return {
+      ok: false,
+      sourceLabel: 'Fallback',
+      qcRejection,
+      error: new Error(translateMessage(qcRejection))
+    };
+  }
+  const qcResult = { ...result, data: checked.observation };
+  state.weather.lastCurrent = qcResult;
+  return qcResult;
+}
+
+function applySeriesQualityControl(state, result) {
+  if (result.sourceLabel === 'Simulated' || !result.series) return result;
+  return { ...result, series: checkSeries(result.series, recentInputs(state)).series };
+}
+
+async function fetchCurrentOrSaved(state, force) {
+  const result = await applyQualityControl(state, await state.weather.fetchCurrent({ force }));
+  if (result.ok) {
+    if (!state.weather.dataset) {
+      saveOfflineCopy(state.glacier.id, 'current', {
+        sourceLabel: result.sourceLabel,
+        data: result.data
+      });
+    }
+    return result;
+  }
+
+  const saved = offlineStore.load(state.glacier.id)?.current;
+  if (!saved?.result?.data) return result;
+  const offlineResult = {
+    ...saved.result,
+    ok: true,
+    offline: !result.qcRejection,
+    qcFallback: Boolean(result.qcRejection),
+    savedAt: new Date(saved.savedAt),
+    qcRejection: result.qcRejection,
+    error: result.error
+  };
+  state.weather.lastCurrent = offlineResult;
+  return offlineResult;
+}
+
+async function fetchForecastOrSaved(state, days) {
+  const result = applySeriesQualityControl(state, await state.weather.fetchDailySeries(days));
+  if (result.sourceLabel !== 'Simulated') {
+    saveOfflineCopy(state.glacier.id, 'forecast', {
+      sourceLabel: result.sourceLabel,
+      series: result.series
+    });
+    return result;
+  }
+
+  const saved = offlineStore.load(state.glacier.id)?.forecast;
+  const series = (saved?.result?.series || [])
+    .filter((day) => !state.lastObservedDateKey || toDateKey(day.date) >= state.lastObservedDateKey)
+    .slice(0, days + 1);
+  if (series.length === 0) return result;
+  return {
+    ok: true,
+    offline: true,
+    savedAt: new Date(saved.savedAt),
+    sourceLabel: `${saved.result.sourceLabel} (offline copy)`,
+    series
+  };
+}
+
+function queueRefresh(state, reset) {
+  queuedRefreshes.set(state.glacier.id, reset || queuedRefreshes.get(state.glacier.id) || false);
+}
+
+async function syncQueuedRefreshes() {
+  const queued = [...queuedRefreshes.entries()];
+  queuedRefreshes.clear();
+  await Promise.all(
+    queued
+      .filter(([glacierId]) => glacierState[glacierId])
+      .map(([glacierId, reset]) => loadCurrentConditions(reset, true, glacierState[glacierId]))
+  );
+  if (fleetMode) {
+    renderFleetOverview();
+  }
+}
+
+async function loadCurrentConditions(reset = false, forceFetch = false, state = getActiveState()) {
+  if (state.weather.dataset && !state.baselineSnapshot) {
+    await runStationDataset(state);
+    return;
+  }
+  const result = await fetchCurrentOrSaved(state, forceFetch);
   const ageHours = result.data?.date
     ? (Date.now() - result.data.date.getTime()) / 3600000
     : null;
-  const isStale = typeof ageHours === 'number' && ageHours > 2;
+  const isStale =
+    Boolean(result.offline || result.qcFallback) ||
+    (typeof ageHours === 'number' && ageHours > 2);
+  if (result.offline || !result.ok) {
+    queueRefresh(state, reset);
+  }
 
-  ui.updateCurrentConditions(result);
-  ui.updateDataStatus({ ...result, isStale });
-  state.lastStatus = { ok: result.ok, isStale };
+  state.qcRejection = result.qcRejection || null;
+  state.model.setDataContext({ qcRejection: state.qcRejection });
+  if (state === getActiveState()) {
+    ui.updateCurrentConditions(result);
+    ui.updateDataStatus({ ...result, isStale });
+    ui.updateStationStatus(state.weather.dataset || null, state.qcRejection);
+  }
+  state.lastStatus = {
+    ok: result.ok,
+    isStale,
+    offline: result.offline,
+    qcFallback: result.qcFallback,
+    savedAt: result.savedAt
+  };
 
   if (result.ok && result.data) {
     const dateKey = toDateKey(result.data.date);
@@ -169,69 +397,242 @@ async function loadCurrentConditions(reset = false, forceFetch = false) {
       state.lastSummaryData = result.data;
     }
     if (reset || shouldAdvance) {
-      state.model.resetWithObservation(result.data, result.sourceLabel);
+      let backfillSource = null;
+      let historyGapDays = state.model.dataContext.historyGapDays || 0;
+      const fromBaseline = Boolean(state.baselineSnapshot);
+      if (fromBaseline) {
+        state.model.setSnapshot(state.baselineSnapshot);
+      } else {
+        const backfill = await backfillHistory(state, result.data.date);
+        backfillSource = backfill.sourceLabel;
+        historyGapDays = backfill.missingDays || 0;
+      }
+      const historySource = backfillSource || state.model.dataContext.historySource || null;
       state.model.setDataContext({
         sourceLabel: result.sourceLabel,
         ageHours,
-        isFallback: false,
+        isFallback: historySource === 'Simulated',
         isForecast: false,
         isScenario: false,
-        isStale
+        isStale,
+        historySource,
+        historyGapDays,
+        qcRejection: state.qcRejection
       });
+      if (!fromBaseline || shouldAdvance) {
+        state.model.applyDailyObservation(result.data, result.sourceLabel);
+      }
       state.baselineSnapshot = state.model.getSnapshot();
       state.lastObservedDateKey = dateKey;
       state.scenarioMode = false;
       state.scenarioLabel = 'Live baseline';
       state.currentScenario = null;
+      state.lastRun = { mode: 'live' };
       state.lastScenarioDisplayData = null;
+      state.lastSummaryData = result.data;
+      state.lastSimulationSource = result.sourceLabel;
+    } else if (!state.scenarioMode) {
+      state.model.setDataContext({ ageHours, isStale });
     }
 
-    const alerts = state.model.getAlerts();
-    const confidence = state.model.getConfidence();
-    const projection = state.model.getTimeToLoss();
+    if (state === getActiveState()) {
+      renderActiveGlacier();
+    }
+    persistState();
+  } else if (result.qcRejection && state === getActiveState()) {
+    renderActiveGlacier();
+  }
+}
 
-    ui.updateModelOutputs(state.model.getState());
-    ui.updateDiagnostics({
-      alerts,
-      confidence,
-      projection,
-      sourceLabel: result.sourceLabel
+async function runStationDataset(state) {
+  const { series } = checkSeries(state.weather.dataset.series);
+  if (series.length === 0) {
+    state.qcRejection = message('station.noUsableDaysAfterQc', {
+      name: state.weather.dataset.name,
+      count: state.weather.dataset.series.length
     });
-    ui.setChartWindow(state.chartWindowDays);
-    ui.updateCharts(state.model.getHistory());
-    ui.updateDailySummary(state.model.getSummary(result.data, { alerts, confidence, projection }));
-    ui.updateSimulationSource({ sourceLabel: result.sourceLabel });
-    state.lastSimulationSource = result.sourceLabel;
-    ui.updateScenarioStatus(state.scenarioLabel);
+    if (state === getActiveState()) {
+      ui.updateStationStatus(state.weather.dataset, state.qcRejection);
+    }
+    return;
   }
+  const latest = series[series.length - 1];
+  const ageHours = (Date.now() - latest.date.getTime()) / 3600000;
+  state.model.resetWithObservation(null, FIELD_STATION_LABEL);
+  state.model.ensureHistoryCapacity(series.length);
+  state.model.setDataContext({
+    sourceLabel: FIELD_STATION_LABEL,
+    ageHours,
+    isFallback: false,
+    isForecast: false,
+    isScenario: false,
+    isStale: ageHours > 2,
+    historySource: FIELD_STATION_LABEL
+  });
+  series.forEach((day) => {
+    state.model.applyDailyObservation(day, FIELD_STATION_LABEL);
+  });
+  state.baselineSnapshot = state.model.getSnapshot();
+  state.lastObservedDateKey = toDateKey(latest.date);
+  state.scenarioMode = false;
+  state.scenarioLabel = 'Live baseline';
+  state.currentScenario = null;
+  state.lastRun = { mode: 'live' };
+  state.lastScenarioDisplayData = null;
+  state.chartWindowDays = Math.max(30, Math.min(series.length, state.model.maxHistory));
+  await loadCurrentConditions(false, true, state);
+}
+
+function excludeObservedDay(state, series) {
+  return series.filter((day) => {
+    const dayKey = toDateKey(day.date);
+    return !state.lastObservedDateKey || dayKey !== state.lastObservedDateKey;
+  });
 }
 
-async function simulateDays(days) {
+function runComparisonMember(state, label, series, dataContext) {
+  const model = state.model.clone();
+  model.setSnapshot(state.baselineSnapshot);
+  const filteredSeries = excludeObservedDay(state, series);
+  model.ensureHistoryCapacity(filteredSeries.length);
+  model.setDataContext(dataContext);
+  filteredSeries.forEach((day) => {
+    model.applyDailyObservation(day, dataContext.sourceLabel);
+  });
+  return {
+    label,
+    history: model.getHistory(),
+    state: model.getState(),
+    alerts: model.getAlerts(),
+    projection: model.getTimeToLoss()
+  };
+}
+
+const scenarioName = (preset) =>
+  preset.builtIn ? message(`scenario.builtIn.${preset.id}`) : preset.name;
+
+async function runComparison({ presetIds, includeForecast }) {
+  const state = getActiveState();
+  if (!state.baselineSnapshot) {
+    ui.updateComparisonStatus(message('comparison.needBaseline'));
+    return;
+  }
+  const presets = getScenarioPresets().filter((preset) => presetIds.includes(preset.id));
+  if (presets.length === 0 && !includeForecast) {
+    ui.updateComparisonStatus(message('comparison.pickOne'));
+    return;
+  }
+
+  const days = Math.max(1, ...presets.map((preset) => preset.days));
+  const runs = [];
+  if (includeForecast) {
+    const forecast = await fetchForecastOrSaved(state, Math.min(days, 16));
+    runs.push(
+      runComparisonMember(
+        state,
+        message('comparison.forecastRun', { source: forecast.sourceLabel }),
+        forecast.series || [],
+        {
+          sourceLabel: forecast.sourceLabel,
+          ageHours: null,
+          isFallback: forecast.sourceLabel === 'Simulated',
+          isForecast: forecast.sourceLabel.startsWith('Forecast'),
+          isScenario: false,
+          isStale: forecast.sourceLabel === 'Simulated' || Boolean(forecast.offline)
+        }
+      )
+    );
+  }
+  for (const preset of presets) {
+    const scenarioResult = await state.weather.fetchScenarioSeries(
+      preset.days,
+      preset,
+      state.lastObservedData
+    );
+    runs.push(
+      runComparisonMember(state, scenarioName(preset), scenarioResult.series || [], {
+        sourceLabel: scenarioResult.sourceLabel,
+        ageHours: null,
+        isFallback: true,
+        isForecast: false,
+        isScenario: true,
+        isStale: true
+      })
+    );
+  }
+
+  if (state !== getActiveState()) return;
+  ui.showComparison(runs, Math.min(state.model.maxHistory, days + 7));
+  ui.updateComparisonStatus(message('comparison.running', { count: runs.length }));
+}
+
+function defaultRunSeed(state, series) {
+  if (series.length === 0) return null;
+  return (
+    Math.floor(series[0].date.getTime() / 86400000) +
+    Math.round(state.glacier.latitude * 100) +
+    Math.round(Math.abs(state.glacier.longitude) * 100)
+  );
+}
+
+let ensembleController = null;
+
+async function runConfiguredEnsemble(state, series, sourceLabel, seed) {
+  ensembleController?.abort();
+  ensembleController = null;
+  ui.updateEnsembleProgress(null);
+  const settings = ui.getEnsembleSettings();
+  if (!settings.enabled || series.length === 0) return { ensemble: null, cancelled: false };
+  const controller = new AbortController();
+  ensembleController = controller;
+  const ensemble = await runEnsemble({
+    model: state.model,
+    series,
+    sourceLabel,
+    seed,
+    members: settings.members,
+    perturbParams: settings.perturbParams,
+    signal: controller.signal,
+    onProgress: (done, count) => ui.updateEnsembleProgress({ done, count })
+  });
+  if (controller.signal.aborted) return { ensemble: null, cancelled: true };
+  ensembleController = null;
+  ui.updateEnsembleProgress(null);
+  return { ensemble, cancelled: false };
+}
+
+async function simulateDays(days, seed = null) {
   const state = getActiveState();
   if (state.baselineSnapshot) {
     state.model.setSnapshot(state.baselineSnapshot);
   }
 
-  const seriesResult = await state.weather.fetchDailySeries(days);
+  const seriesResult = await fetchForecastOrSaved(state, days);
   const series = seriesResult.series || [];
   const sourceLabel = seriesResult.sourceLabel;
-  const filteredSeries = series.filter((day) => {
-    const dayKey = toDateKey(day.date);
-    return !state.lastObservedDateKey || dayKey !== state.lastObservedDateKey;
-  });
-
-  filteredSeries.forEach((day) => {
-    state.model.applyDailyObservation(day, sourceLabel);
-  });
+  const filteredSeries = excludeObservedDay(state, series);
 
+  state.model.ensureHistoryCapacity(filteredSeries.length);
   state.model.setDataContext({
     sourceLabel,
-    ageHours: null,
+    ageHours: seriesResult.offline ? (Date.now() - seriesResult.savedAt.getTime()) / 3600000 : null,
     isFallback: sourceLabel === 'Simulated',
-    isForecast: sourceLabel === 'Forecast',
+    isForecast: sourceLabel.startsWith('Forecast'),
     isScenario: false,
-    isStale: sourceLabel === 'Simulated'
+    isStale: sourceLabel === 'Simulated' || Boolean(seriesResult.offline)
+  });
+  const runSeed = seed ?? defaultRunSeed(state, filteredSeries);
+  const { ensemble, cancelled } = await runConfiguredEnsemble(
+    state,
+    filteredSeries,
+    sourceLabel,
+    runSeed
+  );
+  if (cancelled) return;
+  filteredSeries.forEach((day) => {
+    state.model.applyDailyObservation(day, sourceLabel);
   });
+  state.model.setEnsemble(ensemble);
 
   const alerts = state.model.getAlerts();
   const confidence = state.model.getConfidence();
@@ -241,25 +642,37 @@ async function simulateDays(days) {
   state.scenarioMode = false;
   state.scenarioLabel = 'Live baseline';
   state.currentScenario = null;
+  state.lastRun = { mode: 'forecast', days, seed: runSeed };
   state.lastScenarioDisplayData = null;
   state.lastSimulationSource = sourceLabel;
   state.lastStatus = { ok: true, isStale: false };
 
   ui.updateModelOutputs(state.model.getState());
-  ui.updateDiagnostics({ alerts, confidence, projection, sourceLabel });
+  ui.updateDiagnostics({
+    alerts,
+    confidence,
+    projection,
+    sourceLabel,
+    strategyName: message(`strategies.${state.model.strategy.id}`)
+  });
   ui.setChartWindow(days);
-  ui.updateCharts(state.model.getHistory());
+  ui.updateCharts(state.model.getHistory(), state.model.ensemble);
+  ui.updateBandChart(state.model.getBandProfile(state.chartWindowDays));
   const lastDay = filteredSeries[filteredSeries.length - 1] || series[series.length - 1];
   if (lastDay) {
     state.lastSummaryData = lastDay;
-    ui.updateDailySummary(state.model.getSummary(lastDay, { alerts, confidence, projection }));
+    ui.updateDailySummary(
+      state.model.getSummary(lastDay, { alerts, confidence, projection, units: ui.unitSystem })
+    );
   }
   ui.updateSimulationSource(seriesResult);
-  ui.updateScenarioStatus(state.scenarioLabel);
+  ui.updateScenarioStatus(state.scenarioMode ? state.scenarioLabel : null);
   ui.updateDataStatus(state.lastStatus);
+  persistState();
+  recordRunLink();
 }
 
-async function simulateScenario(days, scenario) {
+async function simulateScenario(days, scenario, { seed = null, baseline = null } = {}) {
   const state = getActiveState();
   if (state.baselineSnapshot) {
     state.model.setSnapshot(state.baselineSnapshot);
@@ -267,18 +680,13 @@ async function simulateScenario(days, scenario) {
   const scenarioResult = await state.weather.fetchScenarioSeries(
     days,
     scenario,
-    state.lastObservedData
+    baseline || state.lastObservedData,
+    seed
   );
   const series = scenarioResult.series || [];
-  const filteredSeries = series.filter((day) => {
-    const dayKey = toDateKey(day.date);
-    return !state.lastObservedDateKey || dayKey !== state.lastObservedDateKey;
-  });
-
-  filteredSeries.forEach((day) => {
-    state.model.applyDailyObservation(day, scenarioResult.sourceLabel);
-  });
+  const filteredSeries = excludeObservedDay(state, series);
 
+  state.model.ensureHistoryCapacity(filteredSeries.length);
   state.model.setDataContext({
     sourceLabel: scenarioResult.sourceLabel,
     ageHours: null,
@@ -287,6 +695,17 @@ async function simulateScenario(days, scenario) {
     isScenario: true,
     isStale: true
   });
+  const { ensemble, cancelled } = await runConfiguredEnsemble(
+    state,
+    filteredSeries,
+    scenarioResult.sourceLabel,
+    scenarioResult.seed
+  );
+  if (cancelled) return;
+  filteredSeries.forEach((day) => {
+    state.model.applyDailyObservation(day, scenarioResult.sourceLabel);
+  });
+  state.model.setEnsemble(ensemble);
 
   const alerts = state.model.getAlerts();
   const confidence = state.model.getConfidence();
@@ -307,13 +726,22 @@ async function simulateScenario(days, scenario) {
         ...state.lastScenarioDisplayData
       }
     });
-    ui.updateDailySummary(state.model.getSummary(lastDay, { alerts, confidence, projection }));
+    ui.updateDailySummary(
+      state.model.getSummary(lastDay, { alerts, confidence, projection, units: ui.unitSystem })
+    );
   }
 
-  state.chartWindowDays = 7;
+  state.chartWindowDays = days;
   state.scenarioMode = true;
   state.scenarioLabel = scenarioResult.sourceLabel.replace('Scenario: ', '');
-  state.currentScenario = scenario;
+  state.currentScenario = scenario.id;
+  state.lastRun = {
+    mode: 'scenario',
+    days,
+    scenario,
+    seed: scenarioResult.seed,
+    baseline: scenarioResult.baseline
+  };
   state.lastSimulationSource = scenarioResult.sourceLabel;
 
   ui.updateModelOutputs(state.model.getState());
@@ -321,27 +749,130 @@ async function simulateScenario(days, scenario) {
     alerts,
     confidence,
     projection,
-    sourceLabel: scenarioResult.sourceLabel
+    sourceLabel: scenarioResult.sourceLabel,
+    strategyName: message(`strategies.${state.model.strategy.id}`)
   });
-  ui.setChartWindow(7);
-  ui.updateCharts(state.model.getHistory());
+  ui.setChartWindow(days);
+  ui.updateCharts(state.model.getHistory(), state.model.ensemble);
+  ui.updateBandChart(state.model.getBandProfile(state.chartWindowDays));
   ui.updateSimulationSource({ sourceLabel: scenarioResult.sourceLabel });
-  ui.updateScenarioStatus(state.scenarioLabel);
+  ui.updateScenarioStatus(state.scenarioMode ? state.scenarioLabel : null);
   ui.updateDataStatus({ mode: 'scenario' });
+  persistState();
+  recordRunLink();
+}
+
+let applyingRunLink = false;
+
+function currentRunLink() {
+  const state = getActiveState();
+  return encodeRunLink({
+    glacierId: state.glacier.id,
+    ...state.lastRun,
+    strategyId: state.model.strategy.id,
+    params: state.model.params,
+    ensemble: ui.getEnsembleSettings()
+  });
+}
+
+function recordRunLink({ replace = false } = {}) {
+  const search = currentRunLink();
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace || applyingRunLink) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
+function applyLinkedModel(state, link) {
+  const strategyChanged = link.strategyId && link.strategyId !== state.model.strategy.id;
+  const paramsChanged = Object.entries(link.params).some(
+    ([name, value]) => Math.abs(state.model.params[name] - value) > 1e-9
+  );
+  if (!strategyChanged && !paramsChanged) return;
+  if (!ui.confirmLinkedModel({ strategyId: link.strategyId, params: link.params })) return;
+  if (strategyChanged) {
+    state.model.setStrategy(link.strategyId);
+  }
+  if (paramsChanged) {
+    state.model.setProfile({
+      ...state.model.profile,
+      params: { ...state.model.profile?.params, ...link.params },
+      source: 'Shared link'
+    });
+  }
+  replayGlacierModel(state);
+}
+
+async function applyRunLink(link) {
+  if (!link || !glacierState[link.glacierId]) return;
+  applyingRunLink = true;
+  try {
+    if (fleetMode) {
+      fleetMode = false;
+      ui.setFleetMode(false);
+    }
+    activeGlacierId = link.glacierId;
+    const state = getActiveState();
+    ui.setEnsembleSettings(link.ensemble);
+    applyLinkedModel(state, link);
+    renderActiveGlacier();
+    if (!state.lastObservedData) {
+      await loadCurrentConditions(false, false);
+    }
+
+    if (link.mode === 'forecast') {
+      await simulateDays(link.days || 7, link.seed);
+    } else if (link.mode === 'scenario') {
+      const preset =
+        link.scenario ||
+        getScenarioPresets().find((entry) => entry.id === link.presetId) ||
+        BUILT_IN_SCENARIOS[0];
+      ui.loadScenarioIntoEditor(preset);
+      await simulateScenario(link.days || preset.days, preset, {
+        seed: link.seed,
+        baseline: link.baseline
+      });
+    } else {
+      state.chartWindowDays = 30;
+      await loadCurrentConditions(true, false);
+      renderActiveGlacier();
+    }
+    persistState();
+  } finally {
+    applyingRunLink = false;
+  }
+}
+
+function replayGlacierModel(state) {
+  const currentSnapshot = state.model.getSnapshot();
+  if (state.baselineSnapshot) {
+    state.model.setSnapshot(state.baselineSnapshot);
+    state.model.replayHistory();
+    state.baselineSnapshot = state.model.getSnapshot();
+  }
+  state.model.setSnapshot(currentSnapshot);
+  state.model.replayHistory();
 }
 
 function renderActiveGlacier() {
   const state = getActiveState();
   ui.updateGlacierHeader(state.glacier);
   ui.updateInfoContent(state.glacier);
+  ui.updateStationStatus(state.weather.dataset || null, state.qcRejection);
+  ui.setStrategy(state.model.strategy.id);
+  ui.updateCalibration({ params: state.model.params, profile: state.model.profile });
   if (state.scenarioMode && state.lastScenarioDisplayData) {
     ui.updateCurrentConditions({ ok: true, data: state.lastScenarioDisplayData });
   } else if (state.lastObservedData) {
     ui.updateCurrentConditions({ ok: true, data: state.lastObservedData });
   }
-  ui.updateScenarioStatus(state.scenarioLabel);
+  ui.updateScenarioStatus(state.scenarioMode ? state.scenarioLabel : null);
   ui.setChartWindow(state.chartWindowDays);
-  ui.updateCharts(state.model.getHistory());
+  ui.updateCharts(state.model.getHistory(), state.model.ensemble);
+  ui.updateBandChart(state.model.getBandProfile(state.chartWindowDays));
 
   const alerts = state.model.getAlerts();
   const confidence = state.model.getConfidence();
@@ -351,13 +882,27 @@ function renderActiveGlacier() {
     alerts,
     confidence,
     projection,
-    sourceLabel: state.lastSimulationSource
+    sourceLabel: state.lastSimulationSource,
+    strategyName: message(`strategies.${state.model.strategy.id}`)
   });
   ui.updateSimulationSource({ sourceLabel: state.lastSimulationSource });
 
+  if (alertEditorGlacierId !== state.glacier.id) {
+    alertEditorGlacierId = state.glacier.id;
+    ui.renderAlertRules(state.model.alertRules);
+    ui.updateAlertRuleStatus(message('alertRules.hint', { name: state.glacier.displayName }));
+  }
+  ui.updateAlertRulePreview(state.model.evaluateAlertRules(ui.getAlertRuleEdits()));
+  ui.updateAlertLog(state.model.getAlertLog());
+
   if (state.lastSummaryData) {
     ui.updateDailySummary(
-      state.model.getSummary(state.lastSummaryData, { alerts, confidence, projection })
+      state.model.getSummary(state.lastSummaryData, {
+        alerts,
+        confidence,
+        projection,
+        units: ui.unitSystem
+      })
     );
   }
 
@@ -370,8 +915,95 @@ function renderActiveGlacier() {
   }
 }
 
+function buildFleetRow(state) {
+  const modelState = state.model.getState();
+  const projection = state.model.getTimeToLoss();
+  return {
+    id: state.glacier.id,
+    name: state.glacier.displayName,
+    region: state.glacier.region,
+    healthIndex: modelState.healthIndex,
+    dailyChange: modelState.dailyChange,
+    sevenDayTrend: modelState.sevenDayTrend,
+    state: modelState.state,
+    confidence: state.model.getConfidence().level,
+    alerts: state.model.getAlerts(),
+    timeToLoss: projection.message,
+    timeToLossDays: projection.days ?? Infinity,
+    sparkline: state.model.getHistory().slice(-30).map((entry) => entry.healthIndex),
+    sourceLabel: state.scenarioMode ? state.scenarioLabel : state.lastSimulationSource,
+    isStale: Boolean(state.lastStatus.isStale)
+  };
+}
+
+function renderFleetOverview(loading = false) {
+  ui.updateFleetOverview(Object.values(glacierState).map(buildFleetRow), { loading });
+}
+
+async function showFleetOverview(forceFetch = false) {
+  fleetMode = true;
+  ui.setFleetMode(true);
+  renderFleetOverview(true);
+  await Promise.all(
+    Object.values(glacierState).map((state) => loadCurrentConditions(false, forceFetch, state))
+  );
+  if (fleetMode) {
+    renderFleetOverview();
+  }
+}
+
+ui.onUnitSystemChange((system) => {
+  settingsStore.save('units', normalizeUnitSystem(system));
+  ui.setUnitSystem(system);
+  renderActiveGlacier();
+});
+
+ui.onLocaleChange((locale) => {
+  settingsStore.save('locale', setLocale(locale));
+  ui.applyLocale();
+  renderActiveGlacier();
+  ui.updateNetworkDiagnostics(getNetworkDiagnostics());
+  if (fleetMode) {
+    renderFleetOverview();
+  }
+});
+
 ui.onRefresh(async () => {
   await loadCurrentConditions(true, true);
+  recordRunLink();
+});
+
+onNetworkActivity(() => {
+  ui.updateNetworkDiagnostics(getNetworkDiagnostics());
+});
+
+ui.onClearNetworkCache(() => {
+  clearRequestCache();
+  ui.updateNetworkDiagnostics(getNetworkDiagnostics());
+});
+
+ui.onCopyLink(async () => {
+  recordRunLink();
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    ui.updateCopyLinkStatus(true);
+  } catch (error) {
+    ui.updateCopyLinkStatus(false);
+  }
+});
+
+window.addEventListener('online', () => {
+  syncQueuedRefreshes();
+});
+
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {});
+  });
+}
+
+window.addEventListener('popstate', () => {
+  applyRunLink(decodeRunLink(window.location.search));
 });
 
 ui.onSimulate(async (days) => {
@@ -382,18 +1014,313 @@ ui.onScenarioSimulate(async (days, scenario) => {
   await simulateScenario(days, scenario);
 });
 
-ui.onScenarioSelect(async (scenario) => {
-  await ui.onScenarioSimulateCallback?.(7, scenario);
+ui.onScenarioSelect(async (presetId) => {
+  const preset = getScenarioPresets().find((entry) => entry.id === presetId);
+  if (!preset) return;
+  ui.loadScenarioIntoEditor(preset);
+  await ui.onScenarioSimulateCallback?.(preset.days, preset);
+});
+
+ui.onScenarioRun(async (values) => {
+  const preset = normalizeScenario({ ...values, id: 'draft' });
+  await simulateScenario(preset.days, preset);
+});
+
+ui.onLongRun(async (years) => {
+  const state = getActiveState();
+  const preset =
+    getScenarioPresets().find((entry) => entry.id === state.currentScenario) ||
+    BUILT_IN_SCENARIOS[0];
+  await simulateScenario(years * 365, preset);
+});
+
+ui.onCompare(async (selection) => {
+  await runComparison(selection);
+});
+
+ui.onCompareExit(() => {
+  renderActiveGlacier();
+});
+
+ui.onScenarioSave((values) => {
+  const name = typeof values.name === 'string' ? values.name.trim() : '';
+  if (!name) {
+    ui.updateScenarioEditorStatus(message('scenario.nameRequired'));
+    return;
+  }
+  const presets = getScenarioPresets();
+  const existing = presets.find((entry) => entry.name === name);
+  if (existing?.builtIn) {
+    ui.updateScenarioEditorStatus(message('scenario.builtInName', { name }));
+    return;
+  }
+  const id = existing?.id || createScenarioId(name, presets.map((entry) => entry.id));
+  const preset = normalizeScenario({ ...values, name, id });
+  presetStore.save(preset.id, preset);
+  ui.setScenarioPresets(getScenarioPresets());
+  ui.setScenario(getActiveState().currentScenario);
+  ui.loadScenarioIntoEditor(preset);
+  ui.updateScenarioEditorStatus(message('scenario.saved', { name: preset.name }));
+});
+
+ui.onScenarioDelete((presetId) => {
+  const preset = getScenarioPresets().find((entry) => entry.id === presetId);
+  if (!preset || preset.builtIn) {
+    ui.updateScenarioEditorStatus(message('scenario.builtInDelete'));
+    return;
+  }
+  presetStore.remove(presetId);
+  ui.setScenarioPresets(getScenarioPresets());
+  ui.setScenario(getActiveState().currentScenario);
+  ui.updateScenarioEditorStatus(message('scenario.deleted', { name: preset.name }));
+});
+
+let pendingStation = null;
+
+function previewStationImport(mapping) {
+  try {
+    const { series, issues } = buildStationSeries(pendingStation.table, mapping);
+    ui.updateStationPreview({ days: series.length, notes: describeStationIssues(issues) });
+  } catch (error) {
+    ui.updateStationPreview({ days: 0, notes: [], error });
+  }
+}
+
+ui.onStationFile((text, name) => {
+  try {
+    const table = parseCsv(text);
+    const mapping = guessColumnMapping(table.headers);
+    pendingStation = { table, glacierId: activeGlacierId };
+    ui.showStationMapping(STATION_FIELDS, table.headers, mapping, name);
+    previewStationImport(mapping);
+  } catch (error) {
+    pendingStation = null;
+    ui.hideStationMapping();
+    ui.updateStationStatus(
+      getActiveState().weather.dataset,
+      message('station.importFailed', { error: errorMessage(error) })
+    );
+  }
+});
+
+ui.onStationMappingChange((mapping) => {
+  if (pendingStation) {
+    previewStationImport(mapping);
+  }
+});
+
+ui.onStationImport(async (mapping, name) => {
+  if (!pendingStation) return;
+  const state = glacierState[pendingStation.glacierId];
+  try {
+    const { series, issues } = buildStationSeries(pendingStation.table, mapping);
+    const dataset = createStationDataset({
+      name,
+      glacierId: state.glacier.id,
+      series,
+      issues,
+      ...mapping
+    });
+    stationStore.save(state.glacier.id, dataset);
+    state.weather = createWeatherService(state.glacier, dataset);
+    state.baselineSnapshot = null;
+    pendingStation = null;
+    ui.hideStationMapping();
+    await loadCurrentConditions(true, true, state);
+  } catch (error) {
+    ui.updateStationPreview({ days: 0, notes: [], error });
+  }
+});
+
+ui.onStationRemove(async () => {
+  const state = getActiveState();
+  stationStore.remove(state.glacier.id);
+  ui.updateStorageStatus(null);
+  state.weather = createWeatherService(state.glacier, null);
+  state.baselineSnapshot = null;
+  state.lastObservedDateKey = null;
+  state.chartWindowDays = 30;
+  renderActiveGlacier();
+  await loadCurrentConditions(true, true, state);
+});
+
+ui.onExport((format) => {
+  const state = getActiveState();
+  const report = buildRunReport({
+    glacier: state.glacier,
+    model: state.model,
+    scenario: state.scenarioMode
+      ? getScenarioPresets().find((entry) => entry.id === state.currentScenario) || {
+          id: state.currentScenario,
+          name: state.scenarioLabel
+        }
+      : null,
+    observation: state.lastSummaryData,
+    units: ui.unitSystem
+  });
+  if (format === 'csv') {
+    downloadBlob(
+      new Blob([historyToCsv(state.model.getHistory(), ui.unitSystem)], { type: 'text/csv' }),
+      exportFilename(report, 'csv')
+    );
+  } else if (format === 'json') {
+    downloadBlob(
+      new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }),
+      exportFilename(report, 'json')
+    );
+  } else if (format === 'bundle') {
+    downloadBlob(createReportBundle(report, ui.getChartImages()), exportFilename(report, 'zip'));
+  }
+});
+
+ui.onFleetShow(async () => {
+  await showFleetOverview(false);
+});
+
+ui.onFleetRefresh(async () => {
+  await showFleetOverview(true);
+});
+
+ui.onFleetOpen(async (glacierId) => {
+  await ui.onGlacierChangeCallback?.(glacierId);
 });
 
 ui.onGlacierChange(async (glacierId) => {
   if (!glacierState[glacierId]) return;
+  if (fleetMode) {
+    fleetMode = false;
+    ui.setFleetMode(false);
+  }
   activeGlacierId = glacierId;
   renderActiveGlacier();
+  persistState();
   if (!glacierState[glacierId].lastObservedData) {
+    await loadCurrentConditions(false, false);
+  }
+  recordRunLink();
+});
+
+ui.onAddGlacier(async (values) => {
+  try {
+    const entry = createCustomGlacier(values, GLACIERS.map((item) => item.id));
+    customGlacierStore.save(entry.id, entry);
+    const glacier = normalizeGlacier(entry);
+    GLACIERS.push(glacier);
+    glacierState[glacier.id] = createGlacierState(glacier);
+    ui.setGlacierOptions(GLACIERS);
+    ui.closeAddGlacierDialog();
+    activeGlacierId = glacier.id;
+    renderActiveGlacier();
+    persistState();
     await loadCurrentConditions(true, false);
+  } catch (error) {
+    ui.updateAddGlacierStatus(errorMessage(error));
+  }
+});
+
+ui.onStrategyChange((strategyId) => {
+  const state = getActiveState();
+  state.model.setStrategy(strategyId);
+  replayGlacierModel(state);
+  renderActiveGlacier();
+  persistState();
+});
+
+ui.onCalibrate((text) => {
+  const state = getActiveState();
+  try {
+    const reference = parseReferenceSeries(text);
+    if (reference.glacierId && reference.glacierId !== state.glacier.id) {
+      throw localizedError('calibration.errors.wrongGlacier', {
+        reference: reference.glacierId,
+        glacier: state.glacier.id
+      });
+    }
+    const profile = calibrateParameters(reference, {
+      hypsometry: state.glacier.hypsometry,
+      strategy: state.model.strategy.id,
+      latitude: state.glacier.latitude,
+      baseParams: state.glacier.params
+    });
+    profileStore.save(state.glacier.id, profile);
+    state.model.setProfile(profile);
+    replayGlacierModel(state);
+    renderActiveGlacier();
+    persistState();
+  } catch (error) {
+    ui.updateCalibration({ params: state.model.params, profile: state.model.profile, error });
   }
 });
 
+ui.onResetCalibration(() => {
+  const state = getActiveState();
+  profileStore.remove(state.glacier.id);
+  state.model.setProfile(null);
+  replayGlacierModel(state);
+  renderActiveGlacier();
+  persistState();
+});
+
+ui.onAlertRulesEdit((rules) => {
+  ui.updateAlertRulePreview(getActiveState().model.evaluateAlertRules(rules));
+});
+
+ui.onAlertRulesSave((rules) => {
+  const state = getActiveState();
+  const overrides = diffAlertRules(resolveAlertRules(state.glacier.alertRules), rules);
+  if (Object.keys(overrides).length) {
+    alertRuleStore.save(state.glacier.id, overrides);
+  } else {
+    alertRuleStore.remove(state.glacier.id);
+  }
+  state.model.setAlertRules(resolveAlertRules(state.glacier.alertRules, overrides));
+  ui.renderAlertRules(state.model.alertRules);
+  ui.updateAlertRuleStatus(message('alertRules.saved', { name: state.glacier.displayName }));
+  renderActiveGlacier();
+});
+
+ui.onAlertRulesReset(() => {
+  const state = getActiveState();
+  alertRuleStore.remove(state.glacier.id);
+  state.model.setAlertRules(resolveAlertRules(state.glacier.alertRules));
+  ui.renderAlertRules(state.model.alertRules);
+  ui.updateAlertRuleStatus(message('alertRules.resetDone'));
+  renderActiveGlacier();
+});
+
+ui.onClearSaved(async () => {
+  store.clear();
+  ui.updateStorageStatus(null);
+  GLACIERS.forEach((glacier) => {
+    glacierState[glacier.id] = createGlacierState(glacier);
+  });
+  renderActiveGlacier();
+  await loadCurrentConditions(true, true);
+});
+
+setLocale(settings.locale || navigator.language);
+ui.setLocaleOptions(LOCALES);
+ui.setGlacierOptions(GLACIERS);
+ui.setProviderOptions(WEATHER_PROVIDERS);
+ui.setStrategyOptions(MASS_BALANCE_STRATEGIES);
+ui.setUnitSystem(normalizeUnitSystem(settings.units));
+ui.setUnitOptions(UNIT_SYSTEMS);
+ui.renderScenarioEditor(SCENARIO_FIELDS);
+ui.setScenarioPresets(getScenarioPresets());
+ui.loadScenarioIntoEditor(BUILT_IN_SCENARIOS[0]);
+ui.applyLocale();
+restoreState();
+
+const initialLink = decodeRunLink(window.location.search);
+if (initialLink && glacierState[initialLink.glacierId]) {
+  activeGlacierId = initialLink.glacierId;
+}
 renderActiveGlacier();
-loadCurrentConditions();
+loadCurrentConditions()
+  .then(async () => {
+    if (initialLink && glacierState[initialLink.glacierId]) {
+      await applyRunLink(initialLink);
+    }
+    recordRunLink({ replace: true });
+  })
+  .catch((error) => ui.updateDataStatus({ ok: false, failed: error }));
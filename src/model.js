@@ -1,3 +1,19 @@
+import { getStrategy } from './strategies.js';
+import { percentile } from './random.js';
+import { DEFAULT_MAX_HISTORY, entryDays, entryMassChange } from './history.js';
+import { describeQcFlag, summarizeQc } from './qc.js';
+import {
+  alertRuleResults,
+  createAlert,
+  describeRuleLabel,
+  evaluateAlertRules,
+  resolveAlertRules,
+  trackAlertRules,
+  updateAlertLog
+} from './alerts.js';
+import { formatQuantity } from './units.js';
+import { message, number } from './i18n.js';
+
 const DEFAULTS = {
   accumulationRate: 0.1,
   meltRate: 0.05,
@@ -6,12 +22,117 @@ const DEFAULTS = {
   recedingThreshold: -0.1
 };
 
+const DEFAULT_LAPSE_RATE = -0.0065;
+
+function normalizeHypsometry(hypsometry) {
+  const referenceElevation = hypsometry?.referenceElevation ?? 0;
+  const lapseRate = hypsometry?.lapseRate ?? DEFAULT_LAPSE_RATE;
+  const rawBands = Array.isArray(hypsometry?.bands) ? hypsometry.bands : [];
+  const validBands = rawBands.filter(
+    (band) =>
+      Number.isFinite(band.minElevation) &&
+      Number.isFinite(band.maxElevation) &&
+      band.maxElevation > band.minElevation &&
+      band.areaFraction > 0
+  );
+
+  if (validBands.length === 0) {
+    return {
+      referenceElevation,
+      lapseRate,
+      bands: [
+        {
+          minElevation: referenceElevation,
+          maxElevation: referenceElevation,
+          elevation: referenceElevation,
+          areaFraction: 1
+        }
+      ]
+    };
+  }
+
+  const totalArea = validBands.reduce((sum, band) => sum + band.areaFraction, 0);
+  const bands = validBands
+    .map((band) => ({
+      minElevation: band.minElevation,
+      maxElevation: band.maxElevation,
+      elevation: (band.minElevation + band.maxElevation) / 2,
+      areaFraction: band.areaFraction / totalArea
+    }))
+    .sort((a, b) => a.elevation - b.elevation);
+
+  return { referenceElevation, lapseRate, bands };
+}
+
+export const INPUT_FIELDS = [
+  'temperature',
+  'windSpeed',
+  'precipitation',
+  'humidity',
+  'pressure',
+  'shortwaveRadiation'
+];
+
+const clampHealth = (value) => Math.max(0, Math.min(200, value));
+
+function daysToThreshold(healthIndex, trend, collapseThreshold) {
+  const remaining = healthIndex - collapseThreshold;
+  if (remaining <= 0) return 0;
+  if (trend >= -0.05) return Infinity;
+  return remaining / Math.abs(trend);
+}
+
+function formatDuration(daysLeft) {
+  const years = Math.floor(daysLeft / 365);
+  const days = Math.round(daysLeft % 365);
+  return message('timeToLoss.duration', {
+    years: message('timeToLoss.years', { count: years }),
+    days: message('timeToLoss.days', { count: days })
+  });
+}
+
+const alertText = (id, key = 'label', params = {}) => message(`alerts.${id}.${key}`, params);
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+function createHistoryEntry(observation, components, healthIndex, sourceLabel) {
+  const inputs = INPUT_FIELDS.reduce((acc, field) => {
+    if (Number.isFinite(observation[field])) {
+      acc[field] = observation[field];
+    }
+    return acc;
+  }, {});
+
+  return {
+    date: observation.date,
+    dailyChange: components.balance,
+    healthIndex,
+    sourceLabel,
+    inputs,
+    ...(observation.qc?.length ? { qc: observation.qc } : {}),
+    bands: components.bands.map((band) => ({
+      elevation: band.elevation,
+      balance: band.balance
+    }))
+  };
+}
+
 export class GlacierModel {
   constructor(options = {}) {
-    this.params = { ...DEFAULTS, ...options };
+    const { hypsometry, strategy, latitude, profile, baseParams, alertRules, ...params } = options;
+    this.baseParams = { ...DEFAULTS, ...baseParams };
+    this.params = { ...this.baseParams, ...profile?.params, ...params };
+    this.profile = profile || null;
+    this.hypsometry = normalizeHypsometry(hypsometry);
+    this.strategy = getStrategy(strategy);
+    this.latitude = latitude ?? null;
+    this.alertRules = alertRules || resolveAlertRules();
+    this.alertStates = null;
+    this.alertLog = [];
+    this.tracksAlerts = true;
     this.healthIndex = 100;
     this.history = [];
-    this.maxHistory = 30;
+    this.maxHistory = DEFAULT_MAX_HISTORY;
     this.lastSource = 'Observed';
     this.dataContext = {
       sourceLabel: 'Observed',
@@ -19,33 +140,132 @@ export class GlacierModel {
       isFallback: false,
       isForecast: false,
       isScenario: false,
-      isStale: false
+      isStale: false,
+      historySource: null,
+      historyGapDays: 0,
+      qcRejection: null
     };
+    this.ensemble = null;
   }
 
   applyDailyObservation(observation, sourceLabel = 'Observed') {
-    const dailyChange = this.calculateDailyMassChange(observation);
-    this.healthIndex = Math.max(0, Math.min(200, this.healthIndex + dailyChange));
+    const components = this.calculateBalanceComponents(observation);
+    const dailyChange = components.balance;
+    this.healthIndex = clampHealth(this.healthIndex + dailyChange);
     this.lastSource = sourceLabel;
 
-    this.history.push({
-      date: observation.date,
-      dailyChange,
-      healthIndex: this.healthIndex,
-      sourceLabel
-    });
+    this.history.push(
+      createHistoryEntry(observation, components, this.healthIndex, sourceLabel)
+    );
 
     if (this.history.length > this.maxHistory) {
       this.history.shift();
     }
+    if (this.tracksAlerts) {
+      this.recordAlerts();
+    }
+  }
+
+  recordAlerts() {
+    this.alertStates = trackAlertRules(this.alertRules, this.history, this.alertStates);
+    const results = alertRuleResults(this.alertRules, this.alertStates);
+    const superseded = Object.fromEntries(
+      results
+        .filter((result) => result.suppressed)
+        .map((result) => [result.rule.id, describeRuleLabel(result.supersededBy)])
+    );
+    this.alertLog = updateAlertLog(
+      this.alertLog,
+      this.getAlerts(results),
+      this.history[this.history.length - 1],
+      superseded
+    );
+  }
+
+  ensureHistoryCapacity(days) {
+    this.maxHistory = Math.max(this.maxHistory, this.history.length + days);
+  }
+
+  setStrategy(id) {
+    this.strategy = getStrategy(id);
   }
 
-  calculateDailyMassChange({ temperature, windSpeed, precipitation }) {
-    const accumulation =
-      temperature <= 1 ? precipitation * this.params.accumulationRate : 0;
-    const melt = temperature > 0 ? temperature * this.params.meltRate : 0;
-    const sublimation = windSpeed * this.params.sublimationRate;
-    return accumulation - melt - sublimation;
+  setProfile(profile) {
+    const previous = this.profile?.params || {};
+    const overrides = Object.keys(previous).reduce((acc, key) => {
+      acc[key] = this.baseParams[key];
+      return acc;
+    }, {});
+    this.params = { ...this.params, ...overrides, ...profile?.params };
+    this.profile = profile || null;
+  }
+
+  replayHistory() {
+    this.ensemble = null;
+    this.alertStates = null;
+    if (this.history.length === 0) return;
+    const first = this.history[0];
+    let healthIndex = first.healthIndex - entryMassChange(first);
+
+    this.history = this.history.map((entry) => {
+      if (!entry.inputs) {
+        healthIndex = clampHealth(healthIndex + entryMassChange(entry));
+        return { ...entry, healthIndex };
+      }
+      const observation = { ...entry.inputs, date: entry.date, qc: entry.qc };
+      const components = this.calculateBalanceComponents(observation);
+      healthIndex = clampHealth(healthIndex + components.balance);
+      return {
+        ...entry,
+        ...createHistoryEntry(observation, components, healthIndex, entry.sourceLabel)
+      };
+    });
+    this.healthIndex = healthIndex;
+  }
+
+  calculateDailyMassChange(observation) {
+    return this.calculateBalanceComponents(observation).balance;
+  }
+
+  calculatePointBalance(observation, elevation) {
+    return this.strategy.calculate(observation, this.params, {
+      latitude: this.latitude,
+      elevation
+    });
+  }
+
+  calculateBalanceComponents(observation) {
+    const { referenceElevation, lapseRate, bands } = this.hypsometry;
+    const totals = { accumulation: 0, melt: 0, sublimation: 0, balance: 0 };
+
+    const bandResults = bands.map((band) => {
+      const elevationOffset = band.elevation - referenceElevation;
+      const temperature = observation.temperature + lapseRate * elevationOffset;
+      const pressure = Number.isFinite(observation.pressure)
+        ? observation.pressure * Math.exp(-elevationOffset / 8434)
+        : observation.pressure;
+      const { accumulation, melt, sublimation } = this.calculatePointBalance(
+        { ...observation, temperature, pressure },
+        band.elevation
+      );
+      const balance = accumulation - melt - sublimation;
+
+      totals.accumulation += accumulation * band.areaFraction;
+      totals.melt += melt * band.areaFraction;
+      totals.sublimation += sublimation * band.areaFraction;
+      totals.balance += balance * band.areaFraction;
+
+      return {
+        ...band,
+        temperature,
+        accumulation,
+        melt,
+        sublimation,
+        balance
+      };
+    });
+
+    return { ...totals, bands: bandResults };
   }
 
   getSevenDayTrend() {
@@ -55,6 +275,26 @@ export class GlacierModel {
     return total / window.length;
   }
 
+  sumRecentMassChange(days) {
+    let total = 0;
+    let counted = 0;
+    for (let i = this.history.length - 1; i >= 0 && counted < days; i -= 1) {
+      total += entryMassChange(this.history[i]);
+      counted += entryDays(this.history[i]);
+    }
+    return { total, counted };
+  }
+
+  getTrend(days) {
+    const { total, counted } = this.sumRecentMassChange(days);
+    return counted > 0 ? total / counted : 0;
+  }
+
+  getAnnualBalance() {
+    const { total, counted } = this.sumRecentMassChange(365);
+    return counted >= 365 ? total : null;
+  }
+
   getTrendWindow() {
     return this.history.slice(-7);
   }
@@ -81,11 +321,53 @@ export class GlacierModel {
       healthIndex: this.healthIndex,
       dailyChange: latest ? latest.dailyChange : 0,
       sevenDayTrend: trend,
+      thirtyDayTrend: this.getTrend(30),
+      annualBalance: this.getAnnualBalance(),
       state,
-      lastSource: this.lastSource
+      lastSource: this.lastSource,
+      equilibriumLineAltitude: this.getEquilibriumLineAltitude(),
+      strategyName: this.strategy.name
     };
   }
 
+  getBandProfile(days = 7) {
+    const window = this.history.slice(-days).filter((entry) => Array.isArray(entry.bands));
+    return this.hypsometry.bands.map((band, index) => {
+      const values = window
+        .map((entry) => entry.bands[index]?.balance)
+        .filter((value) => Number.isFinite(value));
+      const balance =
+        values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      return {
+        minElevation: band.minElevation,
+        maxElevation: band.maxElevation,
+        elevation: band.elevation,
+        areaFraction: band.areaFraction,
+        balance
+      };
+    });
+  }
+
+  getEquilibriumLineAltitude(days = 7) {
+    const profile = this.getBandProfile(days).filter((band) => band.balance !== null);
+    if (profile.length < 2) return null;
+
+    const lowest = profile[0];
+    const highest = profile[profile.length - 1];
+    if (lowest.balance >= 0) return lowest.minElevation;
+    if (highest.balance < 0) return highest.maxElevation;
+
+    for (let i = 1; i < profile.length; i += 1) {
+      const below = profile[i - 1];
+      const above = profile[i];
+      if (below.balance < 0 && above.balance >= 0) {
+        const fraction = -below.balance / (above.balance - below.balance);
+        return below.elevation + fraction * (above.elevation - below.elevation);
+      }
+    }
+    return null;
+  }
+
   getHistory() {
     return [...this.history];
   }
@@ -97,135 +379,238 @@ export class GlacierModel {
     };
   }
 
-  getAlerts() {
-    const alerts = [];
-    const state = this.getState();
-
-    if (state.healthIndex < 50) {
-      alerts.push({
-        id: 'critical-loss',
-        level: 'critical',
-        label: 'Critical Loss Phase',
-        detail: 'Health index below 50 indicates severe structural loss.'
-      });
-    } else if (state.healthIndex < 70) {
-      alerts.push({
-        id: 'integrity-warning',
-        level: 'warning',
-        label: 'Integrity Warning',
-        detail: 'Health index below 70 signals weakening glacier integrity.'
-      });
-    }
-
-    if (state.dailyChange < -2.5) {
-      alerts.push({
-        id: 'high-melt',
-        level: 'warning',
-        label: 'High Melt Event',
-        detail: 'Daily mass loss exceeds 2.5 units.'
-      });
-    }
+  setAlertRules(rules) {
+    this.alertRules = rules;
+    this.alertStates = null;
+  }
 
-    if (state.sevenDayTrend < -1.2) {
-      alerts.push({
-        id: 'accelerated-loss',
-        level: 'critical',
-        label: 'Accelerated Loss Detected',
-        detail: '7-day trend indicates rapid retreat.'
-      });
-    }
+  evaluateAlertRules(rules = this.alertRules) {
+    return evaluateAlertRules(rules, this.history);
+  }
 
-    if (this.dataContext.isFallback || this.dataContext.isStale) {
+  getAlerts(results = this.evaluateAlertRules()) {
+    const alerts = results
+      .filter((result) => result.active && !result.suppressed)
+      .map(createAlert);
+
+    const quality = summarizeQc(this.history);
+    const { qcRejection } = this.dataContext;
+    if (
+      this.dataContext.isFallback ||
+      this.dataContext.isStale ||
+      quality.flaggedDays > 0 ||
+      qcRejection
+    ) {
+      let detail = alertText('low-reliability', 'fallback');
+      if (qcRejection) {
+        detail = qcRejection;
+      } else if (this.dataContext.isStale) {
+        detail = alertText('low-reliability', 'stale');
+      } else if (quality.flaggedDays > 0) {
+        const checks = [
+          ...new Map(
+            quality.flags.map(describeQcFlag).map((item) => [JSON.stringify(item), item])
+          ).values()
+        ].slice(0, 3);
+        detail = alertText('low-reliability', 'qc', {
+          flagged: quality.flaggedDays,
+          count: quality.days,
+          checks
+        });
+      }
       alerts.push({
         id: 'low-reliability',
-        level: 'info',
-        label: 'Low Data Reliability',
-        detail: this.dataContext.isStale
-          ? 'Live data is stale; results may be delayed.'
-          : 'Fallback or simulated data in use.'
+        level:
+          qcRejection || (quality.flaggedDays > 0 && !this.dataContext.isStale)
+            ? 'warning'
+            : 'info',
+        label: alertText('low-reliability'),
+        detail
       });
     }
 
     return alerts;
   }
 
+  getAlertLog() {
+    return [...this.alertLog];
+  }
+
   getConfidence() {
     const reasons = [];
+    const reason = (key, params) => reasons.push(message(`confidence.reasons.${key}`, params));
     const variance = this.getTrendVariance();
-    const { isFallback, isScenario, isForecast, isStale, ageHours } = this.dataContext;
+    const {
+      isFallback,
+      isScenario,
+      isForecast,
+      isStale,
+      ageHours,
+      historySource,
+      historyGapDays,
+      qcRejection
+    } = this.dataContext;
 
     if (isFallback || isScenario) {
-      reasons.push('Using simulated or scenario data');
+      reason('simulated');
     }
     if (isForecast) {
-      reasons.push('Using forecast data');
+      reason('forecast');
     }
     if (isStale) {
-      reasons.push('Live data is stale');
+      reason('stale');
+    }
+    if (qcRejection) {
+      reason('qcRejected');
+    }
+    if (historySource === 'Reanalysis') {
+      reason('reanalysis');
+    }
+    if (historyGapDays > 0) {
+      reason('historyGap', { count: historyGapDays });
+    }
+    const quality = summarizeQc(this.history);
+    if (quality.flaggedDays > 0) {
+      reason(quality.repaired ? 'qcRepaired' : 'qc', {
+        flagged: quality.flaggedDays,
+        count: quality.days,
+        repaired: quality.repaired
+      });
     }
     if (typeof ageHours === 'number' && ageHours <= 2 && !isStale) {
-      reasons.push('Live data is fresh');
+      reason('fresh');
+    }
+    const ensembleSpread = this.ensemble
+      ? this.ensemble.finalHealth.p90 - this.ensemble.finalHealth.p10
+      : null;
+    if (ensembleSpread !== null) {
+      reason('ensemble', { spread: number(ensembleSpread, 1), count: this.ensemble.size });
+      if (this.ensemble.requestedSize > this.ensemble.size) {
+        reason('ensembleCapped', {
+          count: this.ensemble.size,
+          requested: this.ensemble.requestedSize
+        });
+      }
     }
     if (variance >= 1.2) {
-      reasons.push('High volatility in 7-day trend');
+      reason('highVolatility');
     } else if (variance >= 0.6) {
-      reasons.push('Moderate trend variability');
+      reason('moderateVariability');
     } else {
-      reasons.push('Low trend variability');
+      reason('lowVariability');
     }
 
     let level = 'Medium';
-    if (isFallback || isScenario || isStale || variance >= 1.5) {
+    if (
+      isFallback ||
+      isScenario ||
+      isStale ||
+      qcRejection ||
+      quality.flaggedDays >= 2 ||
+      variance >= 1.5 ||
+      ensembleSpread >= 15
+    ) {
       level = 'Low';
-    } else if (isForecast || variance >= 0.6) {
+    } else if (isForecast || quality.flaggedDays > 0 || variance >= 0.6 || ensembleSpread >= 6) {
       level = 'Medium';
     } else {
       level = 'High';
     }
 
-    return { level, reasons, variance };
+    return { level, reasons, variance, ensembleSpread };
   }
 
   getTimeToLoss(collapseThreshold = 40) {
     const state = this.getState();
-    const trend = state.sevenDayTrend;
-    const remaining = state.healthIndex - collapseThreshold;
+    const samples = this.ensemble
+      ? this.ensemble.members.map((member) =>
+          daysToThreshold(member.healthIndex, member.sevenDayTrend, collapseThreshold)
+        )
+      : [daysToThreshold(state.healthIndex, state.sevenDayTrend, collapseThreshold)];
+    const p10 = percentile(samples, 0.1);
+    const p50 = percentile(samples, 0.5);
+    const p90 = percentile(samples, 0.9);
+    const distribution = {
+      p10: finiteOrNull(p10),
+      p50: finiteOrNull(p50),
+      p90: finiteOrNull(p90),
+      members: samples.length,
+      collapsingFraction: samples.filter((value) => Number.isFinite(value)).length / samples.length
+    };
 
-    if (remaining <= 0) {
+    if (p50 === 0) {
       return {
         status: 'collapsed',
-        message: 'Threshold already crossed.',
+        message: message('timeToLoss.collapsed'),
         days: 0,
-        years: 0
+        years: 0,
+        distribution
       };
     }
 
-    if (trend >= -0.05) {
+    if (!Number.isFinite(p50)) {
       return {
         status: 'stable',
-        message: 'No collapse projected under current conditions.',
+        message: this.ensemble
+          ? message('timeToLoss.stableEnsemble', {
+              percent: Math.round(distribution.collapsingFraction * 100),
+              count: samples.length
+            })
+          : message('timeToLoss.noCollapse'),
         days: null,
-        years: null
+        years: null,
+        distribution
       };
     }
 
-    const daysLeft = remaining / Math.abs(trend);
-    const years = Math.floor(daysLeft / 365);
-    const days = Math.round(daysLeft % 365);
+    const duration = formatDuration(p50);
+    const daysShort = (value) => message('timeToLoss.daysShort', { count: Math.round(value) });
 
     return {
       status: 'declining',
-      message: `~${years} years, ${days} days remaining.`,
-      days: daysLeft,
-      years
+      message: this.ensemble
+        ? message('timeToLoss.remainingRange', {
+            duration,
+            p10: daysShort(p10),
+            p90: Number.isFinite(p90) ? daysShort(p90) : message('timeToLoss.notReached')
+          })
+        : message('timeToLoss.remaining', { duration }),
+      days: p50,
+      years: Math.floor(p50 / 365),
+      distribution
     };
   }
 
+  setEnsemble(ensemble) {
+    this.ensemble = ensemble || null;
+  }
+
+  clone(paramOverrides = {}) {
+    const copy = new GlacierModel({
+      ...this.params,
+      ...paramOverrides,
+      baseParams: this.baseParams,
+      strategy: this.strategy.id,
+      latitude: this.latitude,
+      alertRules: this.alertRules
+    });
+    copy.hypsometry = this.hypsometry;
+    copy.profile = this.profile;
+    copy.maxHistory = this.maxHistory;
+    copy.setSnapshot(this.getSnapshot());
+    copy.setEnsemble(null);
+    return copy;
+  }
+
   getSnapshot() {
     return {
       healthIndex: this.healthIndex,
       history: this.getHistory(),
-      lastSource: this.lastSource
+      lastSource: this.lastSource,
+      dataContext: { ...this.dataContext },
+      ensemble: this.ensemble,
+      maxHistory: this.maxHistory,
+      alertLog: this.getAlertLog()
     };
   }
 
@@ -234,11 +619,22 @@ export class GlacierModel {
     this.healthIndex = snapshot.healthIndex ?? 100;
     this.history = Array.isArray(snapshot.history) ? [...snapshot.history] : [];
     this.lastSource = snapshot.lastSource || 'Observed';
+    this.maxHistory = Math.max(snapshot.maxHistory ?? DEFAULT_MAX_HISTORY, DEFAULT_MAX_HISTORY);
+    if (snapshot.dataContext) {
+      this.setDataContext(snapshot.dataContext);
+    }
+    this.ensemble = snapshot.ensemble || null;
+    this.alertLog = Array.isArray(snapshot.alertLog) ? [...snapshot.alertLog] : [];
+    this.alertStates = null;
   }
 
   resetWithObservation(observation, sourceLabel = 'Observed') {
     this.healthIndex = 100;
     this.history = [];
+    this.maxHistory = DEFAULT_MAX_HISTORY;
+    this.ensemble = null;
+    this.alertStates = null;
+    this.alertLog = [];
     this.lastSource = sourceLabel;
     if (observation) {
       this.applyDailyObservation(observation, sourceLabel);
@@ -246,63 +642,79 @@ export class GlacierModel {
   }
 
   getSummary(observation, diagnostics = {}) {
-    const { temperature, precipitation, windSpeed } = observation;
     const trend = this.getSevenDayTrend();
     const state = this.getState().state;
-    const accumulation =
-      temperature <= 1 ? precipitation * this.params.accumulationRate : 0;
-    const melt = temperature > 0 ? temperature * this.params.meltRate : 0;
-    const sublimation = windSpeed * this.params.sublimationRate;
+    const { accumulation, melt, sublimation } = this.calculateBalanceComponents(observation);
 
     const drivers = [];
     if (accumulation > 0) {
-      drivers.push(`snowfall adds +${accumulation.toFixed(2)}`);
+      drivers.push(message('summary.drivers.snowfall', { value: number(accumulation, 2) }));
     }
     if (melt > 0) {
-      drivers.push(`melt removes -${melt.toFixed(2)}`);
+      drivers.push(message('summary.drivers.melt', { value: number(melt, 2) }));
     }
     if (sublimation > 0) {
-      drivers.push(`wind sublimation removes -${sublimation.toFixed(2)}`);
+      drivers.push(message('summary.drivers.sublimation', { value: number(sublimation, 2) }));
     }
     if (drivers.length === 0) {
-      drivers.push('conditions are mostly neutral');
+      drivers.push(message('summary.drivers.neutral'));
     }
 
     const dailyChange = this.getState().dailyChange;
-    const dailyLine =
-      dailyChange >= 0
-        ? `Daily mass change is +${dailyChange.toFixed(2)} driven by ${drivers.join(
-            ', '
-          )}.`
-        : `Daily mass change is ${dailyChange.toFixed(2)} driven by ${drivers.join(', ')}.`;
+    const dailyLine = message('summary.dailyChange', {
+      change: number(dailyChange, 2, { signed: true }),
+      drivers
+    });
 
     const window = this.history.slice(-7);
     const positives = window.filter((entry) => entry.dailyChange >= 0).length;
     const negatives = window.filter((entry) => entry.dailyChange < 0).length;
-    const trendLine =
-      trend >= 0
-        ? `The 7-day trend averages +${trend.toFixed(2)} because ${positives} of the last ${window.length} days gained mass.`
-        : `The 7-day trend averages ${trend.toFixed(2)} because ${negatives} of the last ${window.length} days lost mass.`;
+    const trendLine = message(trend >= 0 ? 'summary.trendGain' : 'summary.trendLoss', {
+      trend: number(trend, 2, { signed: true }),
+      days: trend >= 0 ? positives : negatives,
+      count: window.length
+    });
 
     const base = [
-      `${state} today based on temperature, snowfall, and wind conditions.`,
+      message('summary.state', { state: message(`state.${state.toLowerCase()}`) }),
       dailyLine,
       trendLine
     ];
+    const annualBalance = this.getAnnualBalance();
+    if (annualBalance !== null) {
+      base.push(
+        message('summary.annualBalance', { balance: number(annualBalance, 1, { signed: true }) })
+      );
+    }
+    const ela = this.getEquilibriumLineAltitude();
+    if (ela !== null) {
+      base.push(
+        message('summary.equilibriumLine', {
+          elevation: formatQuantity(ela, 'elevation', diagnostics.units)
+        })
+      );
+    }
 
     const summaryExtras = [];
     if (diagnostics.alerts && diagnostics.alerts.length > 0) {
       summaryExtras.push(
-        `Active alerts: ${diagnostics.alerts.map((alert) => alert.label).join(', ')}.`
+        message('summary.alerts', { alerts: diagnostics.alerts.map((alert) => alert.label) })
       );
     }
     if (diagnostics.projection) {
-      summaryExtras.push(`Time-to-loss: ${diagnostics.projection.message}`);
+      summaryExtras.push(message('summary.timeToLoss', { projection: diagnostics.projection.message }));
     }
     if (diagnostics.confidence) {
-      summaryExtras.push(`Model confidence is ${diagnostics.confidence.level}.`);
+      summaryExtras.push(
+        message('summary.confidence', {
+          level: message(`confidence.levels.${diagnostics.confidence.level.toLowerCase()}`)
+        })
+      );
     }
+    summaryExtras.push(
+      message('summary.strategy', { strategy: message(`strategies.${this.strategy.id}`) })
+    );
 
-    return [...base, ...summaryExtras].join(' ');
+    return [...base, ...summaryExtras];
   }
 }
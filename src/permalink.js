@@ -0,0 +1,137 @@
+import { SCENARIO_FIELDS, normalizeScenario } from './scenarios.js';
+
+export const RUN_MODES = ['live', 'forecast', 'scenario'];
+
+const PARAM_KEYS = {
+  accumulationRate: 'acc',
+  meltRate: 'melt',
+  sublimationRate: 'sub'
+};
+
+const SCENARIO_PREFIX = 'sc.';
+
+const BASELINE_KEYS = {
+  temperature: 'bt',
+  windSpeed: 'bw',
+  precipitation: 'bp'
+};
+
+const readNumber = (params, key) => {
+  if (!params.has(key)) return null;
+  const value = Number(params.get(key));
+  return Number.isFinite(value) ? value : null;
+};
+
+export function encodeRunLink({
+  glacierId,
+  mode = 'live',
+  scenario = null,
+  days = null,
+  strategyId = null,
+  params = {},
+  ensemble = null,
+  seed = null,
+  baseline = null
+}) {
+  const query = new URLSearchParams();
+  query.set('glacier', glacierId);
+  query.set('mode', mode);
+  if (mode !== 'live' && Number.isFinite(days)) {
+    query.set('days', String(days));
+  }
+  if (mode === 'scenario' && scenario) {
+    query.set('preset', scenario.id);
+    if (!scenario.builtIn) {
+      query.set(`${SCENARIO_PREFIX}name`, scenario.name);
+      SCENARIO_FIELDS.forEach(({ key }) => {
+        if (key !== 'days' && Number.isFinite(scenario[key])) {
+          query.set(`${SCENARIO_PREFIX}${key}`, String(scenario[key]));
+        }
+      });
+    }
+  }
+  if (strategyId) {
+    query.set('strategy', strategyId);
+  }
+  Object.entries(PARAM_KEYS).forEach(([name, key]) => {
+    if (Number.isFinite(params[name])) {
+      query.set(key, String(params[name]));
+    }
+  });
+  if (ensemble?.enabled) {
+    query.set('members', String(ensemble.members));
+    if (ensemble.perturbParams) query.set('perturb', '1');
+  }
+  if (mode !== 'live' && Number.isFinite(seed)) {
+    query.set('seed', String(seed));
+  }
+  if (mode === 'scenario' && baseline?.date instanceof Date) {
+    query.set('start', baseline.date.toISOString());
+    Object.entries(BASELINE_KEYS).forEach(([field, key]) => {
+      if (Number.isFinite(baseline[field])) {
+        query.set(key, String(baseline[field]));
+      }
+    });
+  }
+  return `?${query.toString()}`;
+}
+
+export function decodeRunLink(search) {
+  const query = new URLSearchParams(search);
+  const glacierId = query.get('glacier');
+  if (!glacierId) return null;
+
+  const mode = RUN_MODES.includes(query.get('mode')) ? query.get('mode') : 'live';
+  const days = readNumber(query, 'days');
+  const params = Object.entries(PARAM_KEYS).reduce((acc, [name, key]) => {
+    const value = readNumber(query, key);
+    if (value !== null && value >= 0) acc[name] = value;
+    return acc;
+  }, {});
+
+  let scenario = null;
+  const presetId = query.get('preset');
+  const hasScenarioFields = [...query.keys()].some((key) => key.startsWith(SCENARIO_PREFIX));
+  if (mode === 'scenario' && hasScenarioFields) {
+    const fields = SCENARIO_FIELDS.reduce((acc, { key }) => {
+      const value = readNumber(query, `${SCENARIO_PREFIX}${key}`);
+      if (value !== null) acc[key] = value;
+      return acc;
+    }, {});
+    scenario = normalizeScenario({
+      ...fields,
+      id: presetId || 'draft',
+      name: query.get(`${SCENARIO_PREFIX}name`) || 'Shared scenario',
+      days: days ?? undefined
+    });
+  }
+
+  const start = new Date(query.get('start') || '');
+  const baseline =
+    mode === 'scenario' && !Number.isNaN(start.getTime())
+      ? Object.entries(BASELINE_KEYS).reduce(
+          (acc, [field, key]) => {
+            acc[field] = readNumber(query, key);
+            return acc;
+          },
+          { date: start }
+        )
+      : null;
+
+  const members = readNumber(query, 'members');
+  return {
+    glacierId,
+    mode,
+    presetId,
+    scenario,
+    days: days !== null && days >= 1 ? Math.round(days) : null,
+    strategyId: query.get('strategy'),
+    params,
+    ensemble:
+      members !== null && members > 0
+        ? { enabled: true, members: Math.round(members), perturbParams: query.get('perturb') === '1' }
+        : { enabled: false },
+    seed: readNumber(query, 'seed'),
+    baseline
+  };
+}
@@ -0,0 +1,12 @@
+const env = import.meta.env || {};
+
+export const API_BASE_URLS = {
+  openMeteo: env.VITE_OPEN_METEO_URL || 'https://api.open-meteo.com',
+  openMeteoArchive: env.VITE_OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com',
+  nws: env.VITE_NWS_URL || 'https://api.weather.gov',
+  metNorway: env.VITE_MET_NORWAY_URL || 'https://api.met.no'
+};
+
+export function setApiBaseUrls(overrides) {
+  Object.assign(API_BASE_URLS, overrides);
+}
@@ -0,0 +1,102 @@
+import { fetchDailySeriesWithFallback, fetchNwsObservation } from './nws.js';
+import { fetchOpenMeteoCurrent } from './openmeteo.js';
+
+const STALE_AFTER_HOURS = 3;
+
+export const HYBRID_FIELD_PREFERENCES = {
+  temperature: ['nws', 'open-meteo'],
+  windSpeed: ['nws', 'open-meteo'],
+  precipitation: ['open-meteo', 'nws'],
+  humidity: ['open-meteo', 'nws'],
+  pressure: ['open-meteo', 'nws'],
+  shortwaveRadiation: ['open-meteo']
+};
+
+const SOURCE_LABELS = {
+  nws: 'NWS',
+  'open-meteo': 'Open-Meteo'
+};
+
+const isStaleObservation = (observation, now) =>
+  !observation.observedAt || (now - observation.observedAt.getTime()) / 3600000 > STALE_AFTER_HOURS;
+
+function chooseField(field, sources) {
+  const candidates = HYBRID_FIELD_PREFERENCES[field]
+    .map((id, rank) => ({ id, rank, source: sources[id] }))
+    .filter(({ source }) => source && typeof source.values[field] === 'number');
+  const chosen = candidates.find((candidate) => !candidate.source.isStale) || candidates[0];
+  if (!chosen) {
+    return { value: null, provenance: { source: null, observedAt: null, quality: 'missing' } };
+  }
+
+  let quality = 'primary';
+  if (chosen.source.isStale) quality = 'stale';
+  else if (chosen.rank > 0) quality = 'substituted';
+  return {
+    value: chosen.source.values[field],
+    provenance: {
+      source: SOURCE_LABELS[chosen.id],
+      observedAt: chosen.source.observedAt,
+      quality
+    }
+  };
+}
+
+export function mergeHybridFields(sources) {
+  const values = {};
+  const provenance = {};
+  Object.keys(HYBRID_FIELD_PREFERENCES).forEach((field) => {
+    const choice = chooseField(field, sources);
+    values[field] = choice.value;
+    provenance[field] = choice.provenance;
+  });
+  return { values, provenance };
+}
+
+export const hybridProvider = {
+  id: 'nws-hybrid',
+  name: 'NWS + Open-Meteo hybrid',
+
+  async fetchCurrent(location) {
+    const [nws, meteo] = await Promise.allSettled([
+      fetchNwsObservation(location),
+      fetchOpenMeteoCurrent(location)
+    ]);
+    const sources = {
+      nws:
+        nws.status === 'fulfilled'
+          ? { ...nws.value, isStale: isStaleObservation(nws.value, Date.now()) }
+          : null,
+      'open-meteo': meteo.status === 'fulfilled' ? meteo.value : null
+    };
+    if (!sources.nws && !sources['open-meteo']) {
+      throw new Error(`Hybrid sources failed: ${nws.reason?.message}; ${meteo.reason?.message}`);
+    }
+
+    const { values, provenance } = mergeHybridFields(sources);
+    const used = [...new Set(Object.values(provenance).map((entry) => entry.source).filter(Boolean))];
+    const dated = provenance.temperature.observedAt || sources['open-meteo']?.observedAt;
+
+    return {
+      ok: true,
+      sourceLabel: `Observed (${used.length ? used.join(' + ') : 'NWS + Open-Meteo'})`,
+      data: {
+        temperature: values.temperature,
+        windSpeed: values.windSpeed,
+        precipitation: values.precipitation,
+        humidity: values.humidity,
+        pressure: values.pressure,
+        shortwaveRadiation: values.shortwaveRadiation,
+        date: dated || sources.nws?.observedAt || new Date(),
+        timezone: sources['open-meteo']?.timezone || 'UTC',
+        timezoneAbbr: sources['open-meteo']?.timezoneAbbr || 'UTC',
+        stations: used.includes(SOURCE_LABELS.nws) ? sources.nws.stations : null,
+        provenance
+      }
+    };
+  },
+
+  fetchDailySeries(location, days) {
+    return fetchDailySeriesWithFallback(location, days);
+  }
+};
@@ -0,0 +1,31 @@
+import { hybridProvider } from './hybrid.js';
+import { metNorwayProvider } from './metno.js';
+import { nwsProvider } from './nws.js';
+import { openMeteoProvider } from './openmeteo.js';
+
+export { API_BASE_URLS, setApiBaseUrls } from './config.js';
+export { fetchOpenMeteoArchive, fetchOpenMeteoRecent } from './openmeteo.js';
+export { clearRequestCache, getNetworkDiagnostics, onNetworkActivity } from './request.js';
+
+export const WEATHER_PROVIDERS = [
+  openMeteoProvider,
+  nwsProvider,
+  hybridProvider,
+  metNorwayProvider
+];
+
+export function getProvider(id) {
+  return WEATHER_PROVIDERS.find((provider) => provider.id === id) || openMeteoProvider;
+}
+
+export const BACKUP_PROVIDERS = {
+  'open-meteo': 'met-norway',
+  nws: 'open-meteo',
+  'nws-hybrid': 'met-norway',
+  'met-norway': 'open-meteo'
+};
+
+export function getBackupProvider(id) {
+  const backupId = BACKUP_PROVIDERS[id];
+  return backupId ? getProvider(backupId) : null;
+}
@@ -0,0 +1,134 @@
+import { API_BASE_URLS } from './config.js';
+import { fetchJson } from './request.js';
+
+const HOUR_MS = 3600000;
+
+const PRESSURE_SCALE_HEIGHT_M = 8434;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const surfacePressure = (seaLevel, elevation) =>
+  typeof seaLevel === 'number'
+    ? seaLevel * Math.exp(-(Number.isFinite(elevation) ? elevation : 0) / PRESSURE_SCALE_HEIGHT_M)
+    : null;
+
+function stepPrecipitation(entry, hours) {
+  const oneHour = entry.data?.next_1_hours?.details?.precipitation_amount;
+  const sixHours = entry.data?.next_6_hours?.details?.precipitation_amount;
+  const twelveHours = entry.data?.next_12_hours?.details?.precipitation_amount;
+  if (hours <= 1 && typeof oneHour === 'number') return oneHour;
+  if (typeof sixHours === 'number') return (sixHours * Math.min(hours, 6)) / 6;
+  if (typeof oneHour === 'number') return oneHour * hours;
+  if (typeof twelveHours === 'number') return (twelveHours * Math.min(hours, 12)) / 12;
+  return 0;
+}
+
+function mean(values) {
+  const finite = values.filter((value) => typeof value === 'number');
+  return finite.length ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+}
+
+export function aggregateLocationforecast(timeseries, days, elevation = 0) {
+  const byDay = new Map();
+  timeseries.forEach((entry, index) => {
+    const time = new Date(entry.time);
+    const next = timeseries[index + 1] ? new Date(timeseries[index + 1].time) : null;
+    const hours = next ? (next - time) / HOUR_MS : 6;
+    const key = entry.time.slice(0, 10);
+    const details = entry.data?.instant?.details || {};
+    if (!byDay.has(key)) {
+      byDay.set(key, {
+        temperature: [],
+        windSpeed: [],
+        humidity: [],
+        pressure: [],
+        precipitation: 0,
+        hours: 0
+      });
+    }
+    const day = byDay.get(key);
+    day.temperature.push(details.air_temperature);
+    day.windSpeed.push(details.wind_speed);
+    day.humidity.push(details.relative_humidity);
+    day.pressure.push(details.air_pressure_at_sea_level);
+    day.precipitation += stepPrecipitation(entry, hours);
+    day.hours += hours;
+  });
+
+  return [...byDay.entries()]
+    .filter(([, day]) => day.hours >= 12 && mean(day.temperature) !== null)
+    .slice(0, days)
+    .map(([key, day]) => {
+      const winds = day.windSpeed.filter((value) => typeof value === 'number');
+      return {
+        date: new Date(`${key}T00:00:00Z`),
+        temperature: mean(day.temperature),
+        windSpeed: winds.length ? Math.max(...winds) * 3.6 : null,
+        precipitation: day.precipitation,
+        humidity: mean(day.humidity),
+        pressure: surfacePressure(mean(day.pressure), elevation),
+        shortwaveRadiation: null
+      };
+    });
+}
+
+async function fetchLocationforecast({ latitude, longitude }) {
+  const url = `${API_BASE_URLS.metNorway}/weatherapi/locationforecast/2.0/compact?lat=${round4(
+    latitude
+  )}&lon=${round4(longitude)}`;
+  const data = await fetchJson(url, {
+    headers: { Accept: 'application/json' },
+    label: 'MET Norway forecast',
+    cache: 'forecast'
+  });
+  const timeseries = data?.properties?.timeseries;
+  if (!Array.isArray(timeseries) || timeseries.length === 0) {
+    throw new Error('MET Norway forecast missing timeseries');
+  }
+  return { timeseries, updatedAt: data.properties.meta?.updated_at };
+}
+
+export const metNorwayProvider = {
+  id: 'met-norway',
+  name: 'MET Norway',
+
+  async fetchCurrent(location) {
+    const { timeseries, updatedAt } = await fetchLocationforecast(location);
+    const now = Date.now();
+    const entry =
+      timeseries.find((item, index) => {
+        const next = timeseries[index + 1];
+        return !next || new Date(next.time).getTime() > now;
+      }) || timeseries[0];
+    const details = entry.data?.instant?.details || {};
+
+    return {
+      ok: true,
+      sourceLabel: 'Nowcast (MET Norway)',
+      data: {
+        temperature: details.air_temperature ?? null,
+        windSpeed: typeof details.wind_speed === 'number' ? details.wind_speed * 3.6 : null,
+        precipitation: entry.data?.next_1_hours?.details?.precipitation_amount ?? null,
+        humidity: details.relative_humidity ?? null,
+        pressure: surfacePressure(details.air_pressure_at_sea_level, location.elevation),
+        shortwaveRadiation: null,
+        date: new Date(entry.time || updatedAt),
+        timezone: 'UTC',
+        timezoneAbbr: 'UTC'
+      }
+    };
+  },
+
+  async fetchDailySeries(location, days) {
+    const { timeseries } = await fetchLocationforecast(location);
+    const series = aggregateLocationforecast(timeseries, days, location.elevation);
+    if (series.length === 0) {
+      throw new Error('MET Norway forecast has no complete days');
+    }
+    return {
+      ok: true,
+      sourceLabel: 'Forecast (MET Norway)',
+      series
+    };
+  }
+};
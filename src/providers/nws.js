@@ -0,0 +1,326 @@
+import { API_BASE_URLS } from './config.js';
+import { fetchJson } from './request.js';
+import { openMeteoProvider } from './openmeteo.js';
+
+const toKmh = (quantity) => {
+  if (typeof quantity?.value !== 'number') return null;
+  return quantity.unitCode?.endsWith('m_s-1') ? quantity.value * 3.6 : quantity.value;
+};
+
+const NWS_HEADERS = {
+  Accept: 'application/geo+json'
+};
+
+const OBSERVATION_FIELDS = ['temperature', 'windSpeed', 'precipitation', 'humidity', 'pressure'];
+
+const CANDIDATE_STATIONS = 6;
+
+const PRESSURE_SCALE_HEIGHT_M = 8434;
+
+const RANK_WEIGHTS = {
+  distanceKm: 1 / 25,
+  elevationM: 1 / 250,
+  ageHours: 1 / 2,
+  missingField: 0.75
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export function distanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function parseStation(feature, location) {
+  const [longitude, latitude] = feature?.geometry?.coordinates || [];
+  const id = feature?.properties?.stationIdentifier;
+  if (!id || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  const elevation = feature.properties.elevation?.value;
+  return {
+    id,
+    name: feature.properties.name || id,
+    distanceKm: distanceKm(location, { latitude, longitude }),
+    elevationOffset:
+      typeof elevation === 'number' && Number.isFinite(location.elevation)
+        ? elevation - location.elevation
+        : null
+  };
+}
+
+function parseObservation(obsData, site) {
+  const obs = obsData?.properties || {};
+  const pressurePa = obs.barometricPressure?.value;
+  const pressureAdjustment = Math.exp((site.elevationOffset ?? 0) / PRESSURE_SCALE_HEIGHT_M);
+  return {
+    observedAt: obs.timestamp ? new Date(obs.timestamp) : null,
+    values: {
+      temperature: typeof obs.temperature?.value === 'number' ? obs.temperature.value : null,
+      windSpeed: toKmh(obs.windSpeed),
+      precipitation:
+        typeof obs.precipitationLastHour?.value === 'number' ? obs.precipitationLastHour.value : null,
+      humidity: typeof obs.relativeHumidity?.value === 'number' ? obs.relativeHumidity.value : null,
+      pressure: typeof pressurePa === 'number' ? (pressurePa / 100) * pressureAdjustment : null
+    }
+  };
+}
+
+const siteScore = (station) =>
+  station.distanceKm * RANK_WEIGHTS.distanceKm +
+  Math.abs(station.elevationOffset ?? 0) * RANK_WEIGHTS.elevationM;
+
+export function rankStations(candidates, now = Date.now()) {
+  return candidates
+    .map((candidate) => ({
+      ...candidate,
+      missing: OBSERVATION_FIELDS.filter((field) => typeof candidate.values[field] !== 'number')
+        .length
+    }))
+    .filter((candidate) => candidate.missing < OBSERVATION_FIELDS.length)
+    .map((candidate) => {
+      const { missing } = candidate;
+      const ageHours = candidate.observedAt
+        ? Math.max(0, (now - candidate.observedAt.getTime()) / 3600000)
+        : null;
+      return {
+        ...candidate,
+        ageHours,
+        score:
+          siteScore(candidate) +
+          (ageHours ?? 24) * RANK_WEIGHTS.ageHours +
+          missing * RANK_WEIGHTS.missingField
+      };
+    })
+    .sort((a, b) => a.score - b.score);
+}
+
+export function blendStations(ranked, count = 1) {
+  const chosen = ranked.slice(0, Math.max(1, Math.round(count)));
+  const weights = chosen.map((station) => 1 / Math.max(station.distanceKm, 1) ** 2);
+  const values = OBSERVATION_FIELDS.reduce((acc, field) => {
+    let total = 0;
+    let weightSum = 0;
+    chosen.forEach((station, index) => {
+      if (typeof station.values[field] === 'number') {
+        total += station.values[field] * weights[index];
+        weightSum += weights[index];
+      }
+    });
+    acc[field] = weightSum > 0 ? total / weightSum : null;
+    return acc;
+  }, {});
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return {
+    values,
+    observedAt: chosen[0]?.observedAt || null,
+    stations: chosen.map((station, index) => ({
+      id: station.id,
+      name: station.name,
+      distanceKm: station.distanceKm,
+      elevationOffset: station.elevationOffset,
+      ageHours: station.ageHours,
+      weight: weights[index] / weightTotal
+    }))
+  };
+}
+
+function fetchPoint({ latitude, longitude }) {
+  return fetchJson(`${API_BASE_URLS.nws}/points/${latitude},${longitude}`, {
+    headers: NWS_HEADERS,
+    label: 'NWS point lookup',
+    cache: 'metadata'
+  });
+}
+
+export async function fetchNwsObservation(location) {
+  const pointData = await fetchPoint(location);
+  const stationsUrl = pointData?.properties?.observationStations;
+  if (!stationsUrl) {
+    throw new Error('NWS stations URL missing');
+  }
+
+  const stationsData = await fetchJson(stationsUrl, {
+    headers: NWS_HEADERS,
+    label: 'NWS stations lookup',
+    cache: 'metadata'
+  });
+  const sites = (stationsData?.features || [])
+    .map((feature) => parseStation(feature, location))
+    .filter(Boolean)
+    .sort((a, b) => siteScore(a) - siteScore(b))
+    .slice(0, CANDIDATE_STATIONS);
+  if (sites.length === 0) {
+    throw new Error('No NWS station found for location');
+  }
+
+  const observations = await Promise.allSettled(
+    sites.map((site) =>
+      fetchJson(`${API_BASE_URLS.nws}/stations/${site.id}/observations/latest`, {
+        headers: NWS_HEADERS,
+        label: 'NWS observation',
+        cache: 'observation'
+      })
+    )
+  );
+  const candidates = sites
+    .map((site, index) =>
+      observations[index].status === 'fulfilled'
+        ? { ...site, ...parseObservation(observations[index].value, site) }
+        : null
+    )
+    .filter(Boolean);
+  const ranked = rankStations(candidates);
+  if (ranked.length === 0) {
+    throw new Error(observations.find((result) => result.reason)?.reason?.message || 'No NWS observations');
+  }
+
+  return blendStations(ranked, location.stationBlend);
+}
+
+const HOUR_MS = 3600000;
+
+const GRID_FIELDS = {
+  temperature: { property: 'temperature', reduce: 'mean' },
+  windSpeed: { property: 'windSpeed', reduce: 'max' },
+  precipitation: { property: 'quantitativePrecipitation', reduce: 'sum' },
+  humidity: { property: 'relativeHumidity', reduce: 'mean' }
+};
+
+export function parseValidTime(validTime) {
+  const [start, duration] = String(validTime).split('/');
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '');
+  const startDate = new Date(start);
+  if (!match || Number.isNaN(startDate.getTime())) return null;
+  const hours =
+    Number(match[1] || 0) * 24 + Number(match[2] || 0) + Number(match[3] || 0) / 60;
+  return hours > 0 ? { start: startDate.getTime(), hours } : null;
+}
+
+function gridValue(layer, value) {
+  if (layer?.uom?.endsWith('m_s-1')) return value * 3.6;
+  if (layer?.uom?.endsWith('degF')) return ((value - 32) * 5) / 9;
+  return value;
+}
+
+function spreadByDay(layer, visit) {
+  (layer?.values || []).forEach(({ validTime, value }) => {
+    const interval = parseValidTime(validTime);
+    if (!interval || typeof value !== 'number') return;
+    const end = interval.start + interval.hours * HOUR_MS;
+    for (let cursor = interval.start; cursor < end; ) {
+      const dayEnd = Math.floor(cursor / 86400000) * 86400000 + 86400000;
+      const sliceEnd = Math.min(end, dayEnd);
+      const hours = (sliceEnd - cursor) / HOUR_MS;
+      visit(new Date(cursor).toISOString().slice(0, 10), gridValue(layer, value), hours, interval.hours);
+      cursor = sliceEnd;
+    }
+  });
+}
+
+export function aggregateGridpoints(properties, days) {
+  const byDay = new Map();
+  const dayFor = (key) => {
+    if (!byDay.has(key)) byDay.set(key, {});
+    return byDay.get(key);
+  };
+
+  Object.entries(GRID_FIELDS).forEach(([field, { property, reduce }]) => {
+    spreadByDay(properties?.[property], (key, value, hours, intervalHours) => {
+      const day = dayFor(key);
+      const stats = day[field] || (day[field] = { total: 0, hours: 0, max: -Infinity });
+      if (reduce === 'sum') stats.total += (value * hours) / intervalHours;
+      else stats.total += value * hours;
+      stats.max = Math.max(stats.max, value);
+      stats.hours += hours;
+    });
+  });
+
+  const resolve = (stats, reduce) => {
+    if (!stats) return null;
+    if (reduce === 'sum') return stats.total;
+    if (reduce === 'max') return stats.max;
+    return stats.total / stats.hours;
+  };
+
+  return [...byDay.entries()]
+    .filter(([, day]) => day.temperature?.hours >= 12)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(0, days)
+    .map(([key, day]) => ({
+      date: new Date(`${key}T00:00:00Z`),
+      temperature: resolve(day.temperature, 'mean'),
+      windSpeed: resolve(day.windSpeed, 'max'),
+      precipitation: resolve(day.precipitation, 'sum'),
+      humidity: resolve(day.humidity, 'mean'),
+      pressure: null,
+      shortwaveRadiation: null
+    }));
+}
+
+export async function fetchNwsDailySeries(location, days) {
+  const pointData = await fetchPoint(location);
+  const { gridId, gridX, gridY, forecastGridData } = pointData?.properties || {};
+  const gridUrl =
+    forecastGridData ||
+    (gridId ? `${API_BASE_URLS.nws}/gridpoints/${gridId}/${gridX},${gridY}` : null);
+  if (!gridUrl) {
+    throw new Error('NWS gridpoint URL missing');
+  }
+
+  const gridData = await fetchJson(gridUrl, {
+    headers: NWS_HEADERS,
+    label: 'NWS gridpoint forecast',
+    cache: 'forecast'
+  });
+  const series = aggregateGridpoints(gridData?.properties, days);
+  if (series.length === 0) {
+    throw new Error('NWS gridpoint forecast has no complete days');
+  }
+  return { ok: true, sourceLabel: 'Forecast (NWS)', series };
+}
+
+export async function fetchDailySeriesWithFallback(location, days) {
+  try {
+    return await fetchNwsDailySeries(location, days);
+  } catch (error) {
+    const fallback = await openMeteoProvider.fetchDailySeries(location, days);
+    return {
+      ...fallback,
+      sourceLabel: 'Forecast (Open-Meteo, NWS unavailable)',
+      fallbackReason: error.message
+    };
+  }
+}
+
+export const nwsProvider = {
+  id: 'nws',
+  name: 'National Weather Service',
+
+  async fetchCurrent(location) {
+    const { observedAt, values, stations } = await fetchNwsObservation(location);
+
+    return {
+      ok: true,
+      sourceLabel: 'Observed (NWS)',
+      data: {
+        temperature: values.temperature,
+        windSpeed: values.windSpeed,
+        precipitation: values.precipitation,
+        humidity: values.humidity,
+        pressure: values.pressure,
+        date: observedAt || new Date(),
+        timezone: 'UTC',
+        timezoneAbbr: 'UTC',
+        stations
+      }
+    };
+  },
+
+  fetchDailySeries(location, days) {
+    return fetchDailySeriesWithFallback(location, days);
+  }
+};
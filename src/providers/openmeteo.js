@@ -0,0 +1,122 @@
+import { API_BASE_URLS } from './config.js';
+import { fetchJson } from './request.js';
+
+const DAILY_FIELDS =
+  'temperature_2m_mean,wind_speed_10m_max,precipitation_sum,relative_humidity_2m_mean,surface_pressure_mean,shortwave_radiation_sum';
+
+function parseDailySeries(daily) {
+  return daily.time.map((time, index) => {
+    const radiationSum = daily.shortwave_radiation_sum?.[index];
+    return {
+      date: new Date(time),
+      temperature: daily.temperature_2m_mean[index],
+      windSpeed: daily.wind_speed_10m_max[index],
+      precipitation: daily.precipitation_sum[index],
+      humidity: daily.relative_humidity_2m_mean?.[index] ?? null,
+      pressure: daily.surface_pressure_mean?.[index] ?? null,
+      shortwaveRadiation:
+        typeof radiationSum === 'number' ? (radiationSum * 1000000) / 86400 : null
+    };
+  });
+}
+
+const isCompleteDay = (day) =>
+  typeof day.temperature === 'number' &&
+  typeof day.windSpeed === 'number' &&
+  typeof day.precipitation === 'number';
+
+export const MAX_PAST_DAYS = 92;
+
+export async function fetchOpenMeteoArchive({ latitude, longitude, timezone }, startKey, endKey) {
+  const url = `${API_BASE_URLS.openMeteoArchive}/v1/archive?latitude=${latitude}&longitude=${longitude}&start_date=${startKey}&end_date=${endKey}&daily=${DAILY_FIELDS}&timezone=${timezone}`;
+  const data = await fetchJson(url, { label: 'Archive request', cache: 'archive' });
+  if (!data.daily || !data.daily.time) {
+    throw new Error('Archive missing daily series');
+  }
+
+  const series = parseDailySeries(data.daily).filter(isCompleteDay);
+  if (series.length === 0) {
+    throw new Error('Archive returned no complete days');
+  }
+
+  return {
+    ok: true,
+    sourceLabel: 'Reanalysis',
+    series
+  };
+}
+
+export async function fetchOpenMeteoRecent({ latitude, longitude, timezone }, pastDays) {
+  const days = Math.max(1, Math.min(MAX_PAST_DAYS, pastDays));
+  const url = `${API_BASE_URLS.openMeteo}/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=${DAILY_FIELDS}&past_days=${days}&forecast_days=1&timezone=${timezone}`;
+  const data = await fetchJson(url, { label: 'Recent days request', cache: 'archive' });
+  if (!data.daily || !data.daily.time) {
+    throw new Error('Recent days missing daily series');
+  }
+
+  return {
+    ok: true,
+    sourceLabel: 'Recent (forecast model)',
+    series: parseDailySeries(data.daily).filter(isCompleteDay)
+  };
+}
+
+export async function fetchOpenMeteoCurrent({ latitude, longitude, timezone }) {
+  const url = `${API_BASE_URLS.openMeteo}/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,wind_speed_10m,precipitation,relative_humidity_2m,surface_pressure,shortwave_radiation&timezone=${timezone}`;
+  const data = await fetchJson(url, { label: 'Weather request', cache: 'observation' });
+  const current = data.current || {};
+  const timestamp = current.time || data.current_time;
+
+  return {
+    observedAt: timestamp ? new Date(timestamp) : new Date(),
+    timezone: data.timezone || 'UTC',
+    timezoneAbbr: data.timezone_abbreviation || 'UTC',
+    values: {
+      temperature: current.temperature_2m ?? null,
+      windSpeed: current.wind_speed_10m ?? null,
+      precipitation: current.precipitation ?? null,
+      humidity: current.relative_humidity_2m ?? null,
+      pressure: current.surface_pressure ?? null,
+      shortwaveRadiation: current.shortwave_radiation ?? null
+    }
+  };
+}
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+
+  async fetchCurrent(location) {
+    const { observedAt, timezone, timezoneAbbr, values } = await fetchOpenMeteoCurrent(location);
+
+    return {
+      ok: true,
+      sourceLabel: 'Observed',
+      data: {
+        temperature: values.temperature,
+        windSpeed: values.windSpeed,
+        precipitation: values.precipitation,
+        humidity: values.humidity,
+        pressure: values.pressure,
+        shortwaveRadiation: values.shortwaveRadiation,
+        date: observedAt,
+        timezone,
+        timezoneAbbr
+      }
+    };
+  },
+
+  async fetchDailySeries({ latitude, longitude, timezone }, days) {
+    const url = `${API_BASE_URLS.openMeteo}/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=${DAILY_FIELDS}&forecast_days=${days}&timezone=${timezone}`;
+    const data = await fetchJson(url, { label: 'Forecast request', cache: 'forecast' });
+    if (!data.daily || !data.daily.time) {
+      throw new Error('Forecast missing daily series');
+    }
+
+    return {
+      ok: true,
+      sourceLabel: 'Forecast',
+      series: parseDailySeries(data.daily)
+    };
+  }
+};
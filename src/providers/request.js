@@ -0,0 +1,163 @@
+const MINUTE_MS = 60000;
+
+export const CACHE_POLICIES = {
+  metadata: 24 * 60 * MINUTE_MS,
+  observation: 5 * MINUTE_MS,
+  forecast: 30 * MINUTE_MS,
+  archive: 6 * 60 * MINUTE_MS
+};
+
+export const REQUEST_DEFAULTS = {
+  timeoutMs: 10000,
+  retries: 2,
+  backoffMs: 500,
+  maxBackoffMs: 4000
+};
+
+const MAX_EVENTS = 25;
+
+const caches = Object.keys(CACHE_POLICIES).reduce((acc, policy) => {
+  acc[policy] = new Map();
+  return acc;
+}, {});
+const inFlight = new Map();
+const endpoints = new Map();
+const events = [];
+const listeners = new Set();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function backoffDelay(attempt, { backoffMs, maxBackoffMs } = REQUEST_DEFAULTS) {
+  const ceiling = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function endpointStats(label) {
+  if (!endpoints.has(label)) {
+    endpoints.set(label, {
+      label,
+      requests: 0,
+      cacheHits: 0,
+      deduplicated: 0,
+      retries: 0,
+      errors: 0,
+      lastDurationMs: null,
+      lastError: null,
+      lastAt: null
+    });
+  }
+  return endpoints.get(label);
+}
+
+function record(label, type, detail = {}) {
+  const stats = endpointStats(label);
+  stats.lastAt = new Date();
+  if (type === 'hit') stats.cacheHits += 1;
+  if (type === 'dedupe') stats.deduplicated += 1;
+  if (type === 'retry') stats.retries += 1;
+  if (type === 'success') {
+    stats.requests += 1;
+    stats.lastDurationMs = detail.durationMs;
+  }
+  if (type === 'error') {
+    stats.requests += 1;
+    stats.errors += 1;
+    stats.lastError = detail.message;
+  }
+  events.unshift({ at: stats.lastAt, label, type, ...detail });
+  events.length = Math.min(events.length, MAX_EVENTS);
+  listeners.forEach((listener) => listener());
+}
+
+const requestError = (message, { status = null, retryable = false } = {}) =>
+  Object.assign(new Error(message), { status, retryable });
+
+async function attemptFetch(url, { headers, label, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    if (!response.ok) {
+      throw requestError(`${label} failed: ${response.status}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+    return await response.json();
+  } catch (error) {
+    if (typeof error.retryable === 'boolean') throw error;
+    if (error.name === 'AbortError') {
+      throw requestError(`${label} timed out after ${timeoutMs / 1000}s`);
+    }
+    throw requestError(`${label} failed: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchWithRetry(url, options) {
+  const started = Date.now();
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const data = await attemptFetch(url, options);
+      record(options.label, 'success', { durationMs: Date.now() - started });
+      return data;
+    } catch (error) {
+      if (!error.retryable || attempt >= options.retries) {
+        record(options.label, 'error', { message: error.message });
+        throw error;
+      }
+      const delay = backoffDelay(attempt, options);
+      record(options.label, 'retry', { message: error.message, delayMs: Math.round(delay) });
+      await wait(delay);
+    }
+  }
+}
+
+export async function fetchJson(url, { headers, label = 'Request', cache = null, ...overrides } = {}) {
+  const options = { ...REQUEST_DEFAULTS, ...overrides, headers, label };
+  const store = cache ? caches[cache] : null;
+  const cached = store?.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    record(label, 'hit');
+    return structuredClone(cached.data);
+  }
+
+  if (inFlight.has(url)) {
+    record(label, 'dedupe');
+    return inFlight.get(url).then(structuredClone);
+  }
+
+  const request = fetchWithRetry(url, options)
+    .then((data) => {
+      store?.set(url, { data, expiresAt: Date.now() + CACHE_POLICIES[cache] });
+      return data;
+    })
+    .finally(() => inFlight.delete(url));
+  inFlight.set(url, request);
+  return request.then(structuredClone);
+}
+
+export function clearRequestCache(policy = null) {
+  Object.entries(caches).forEach(([name, store]) => {
+    if (!policy || name === policy) store.clear();
+  });
+}
+
+export function getNetworkDiagnostics() {
+  const cacheSizes = Object.entries(caches).reduce((acc, [name, store]) => {
+    acc[name] = store.size;
+    return acc;
+  }, {});
+  return {
+    endpoints: [...endpoints.values()].map((stats) => ({ ...stats })),
+    events: events.map((event) => ({ ...event })),
+    cacheSizes,
+    inFlight: inFlight.size
+  };
+}
+
+export function onNetworkActivity(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,149 @@
+import { message } from './i18n.js';
+
+export const QC_FIELDS = {
+  temperature: { required: true, min: -60, max: 40, spike: 15, step: 12 },
+  windSpeed: { required: true, min: 0, max: 250, spike: 60, step: 50 },
+  precipitation: { required: true, min: 0, max: 300 },
+  humidity: { required: false, min: 0, max: 100, spike: 60 },
+  pressure: { required: false, min: 500, max: 1085, spike: 30, step: 25 },
+  shortwaveRadiation: { required: false, min: 0, max: 1400 }
+};
+
+const SPIKE_WINDOW = 7;
+const MIN_SPIKE_SAMPLES = 3;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const recentValues = (recent, field) =>
+  recent
+    .slice(-SPIKE_WINDOW)
+    .map((entry) => entry?.[field])
+    .filter((value) => Number.isFinite(value));
+
+const inRange = (field, value) =>
+  Number.isFinite(value) && value >= QC_FIELDS[field].min && value <= QC_FIELDS[field].max;
+
+export function isBlockingFlag(flag) {
+  return QC_FIELDS[flag.field]?.required || flag.check === 'spike' || flag.check === 'step';
+}
+
+export function checkObservation(observation, recent = [], { backup = null, persist = true } = {}) {
+  const { qc, ...checked } = observation;
+  const flags = [];
+  const previous = recent[recent.length - 1] || null;
+
+  Object.entries(QC_FIELDS).forEach(([field, rule]) => {
+    const value = observation[field];
+    if (!rule.required && !Number.isFinite(value)) return;
+    if (!inRange(field, value)) {
+      let repair = null;
+      checked[field] = null;
+      if (inRange(field, backup?.[field])) {
+        checked[field] = backup[field];
+        repair = 'backup';
+      } else if (persist && rule.required && Number.isFinite(previous?.[field])) {
+        checked[field] = previous[field];
+        repair = 'persisted';
+      }
+      flags.push({
+        field,
+        check: Number.isFinite(value) ? 'range' : 'missing',
+        value: Number.isFinite(value) ? value : null,
+        repair
+      });
+      return;
+    }
+
+    const history = recentValues(recent, field);
+    if (rule.spike && history.length >= MIN_SPIKE_SAMPLES) {
+      if (Math.abs(value - median(history)) > rule.spike) {
+        flags.push({ field, check: 'spike', value, repair: null });
+      }
+    }
+    if (rule.step && Number.isFinite(previous?.[field])) {
+      if (Math.abs(value - previous[field]) > rule.step) {
+        flags.push({ field, check: 'step', value, repair: null });
+      }
+    }
+  });
+
+  const unresolved = Object.keys(QC_FIELDS).filter(
+    (field) => QC_FIELDS[field].required && !Number.isFinite(checked[field])
+  );
+  return {
+    observation: flags.length ? { ...checked, qc: flags } : checked,
+    flags,
+    unresolved,
+    usable: unresolved.length === 0
+  };
+}
+
+function interpolate(series, index, field) {
+  let before = index - 1;
+  while (before >= 0 && !Number.isFinite(series[before][field])) before -= 1;
+  let after = index + 1;
+  while (after < series.length && !Number.isFinite(series[after][field])) after += 1;
+
+  const left = before >= 0 ? series[before] : null;
+  const right = after < series.length ? series[after] : null;
+  if (left && right) {
+    const span = right.date - left.date;
+    const ratio = span > 0 ? (series[index].date - left.date) / span : 0.5;
+    return left[field] + (right[field] - left[field]) * ratio;
+  }
+  return left?.[field] ?? right?.[field] ?? null;
+}
+
+export function checkSeries(series, recent = []) {
+  const checked = [];
+  series.forEach((day) => {
+    checked.push(checkObservation(day, [...recent, ...checked], { persist: false }).observation);
+  });
+
+  const anchors = [...recent.slice(-1), ...checked];
+  const offset = anchors.length - checked.length;
+  checked.forEach((day, index) => {
+    (day.qc || []).forEach((flag) => {
+      if (flag.repair || !QC_FIELDS[flag.field].required) return;
+      const value = interpolate(anchors, index + offset, flag.field);
+      if (Number.isFinite(value)) {
+        day[flag.field] = value;
+        flag.repair = 'interpolated';
+      }
+    });
+  });
+
+  const usable = checked.filter((day) =>
+    Object.keys(QC_FIELDS).every((field) => !QC_FIELDS[field].required || Number.isFinite(day[field]))
+  );
+  return {
+    series: usable,
+    flagged: checked.filter((day) => day.qc?.some(isBlockingFlag)).length,
+    dropped: checked.length - usable.length
+  };
+}
+
+export function describeQcFlag(flag) {
+  const params = {
+    field: message(`qc.fields.${flag.field}`),
+    check: message(`qc.checks.${flag.check}`)
+  };
+  if (!flag.repair) return message('qc.flag', params);
+  return message('qc.flagRepaired', { ...params, repair: message(`qc.repairs.${flag.repair}`) });
+}
+
+export function summarizeQc(history, days = 7) {
+  const window = history.slice(-days).filter((entry) => !entry.aggregated);
+  const flagged = window.filter((entry) => entry.qc?.some(isBlockingFlag));
+  const flags = flagged.flatMap((entry) => entry.qc.filter(isBlockingFlag));
+  return {
+    days: window.length,
+    flaggedDays: flagged.length,
+    repaired: flags.filter((flag) => flag.repair).length,
+    flags
+  };
+}
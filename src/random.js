@@ -0,0 +1,29 @@
+export function seededRandom(seed) {
+  let value = seed % 2147483647;
+  if (value <= 0) value += 2147483646;
+  return () => {
+    value = (value * 16807) % 2147483647;
+    return (value - 1) / 2147483646;
+  };
+}
+
+export function gaussianRandom(random) {
+  return () => {
+    const u = Math.max(random(), 1e-12);
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+}
+
+export function percentile(values, fraction) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (lower === upper) return sorted[lower];
+  if (!Number.isFinite(sorted[lower]) || !Number.isFinite(sorted[upper])) {
+    return position - lower < 0.5 ? sorted[lower] : sorted[upper];
+  }
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
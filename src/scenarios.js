@@ -0,0 +1,137 @@
+export const MAX_RUN_YEARS = 50;
+
+export const SCENARIO_FIELDS = [
+  {
+    key: 'tempShift',
+    label: 'Temperature shift',
+    quantity: 'temperature',
+    delta: true,
+    min: -30,
+    max: 30,
+    step: 0.1
+  },
+  {
+    key: 'tempTrend',
+    label: 'Temperature trend (per day)',
+    quantity: 'temperature',
+    delta: true,
+    min: -2,
+    max: 2,
+    step: 0.05
+  },
+  {
+    key: 'annualTrend',
+    label: 'Long-term trend (per year)',
+    quantity: 'temperature',
+    delta: true,
+    min: -5,
+    max: 5,
+    step: 0.05
+  },
+  { key: 'precipFactor', label: 'Precipitation factor', min: 0, max: 5, step: 0.05 },
+  {
+    key: 'minPrecip',
+    label: 'Minimum precipitation',
+    quantity: 'precipitation',
+    min: 0,
+    max: 20,
+    step: 0.1
+  },
+  {
+    key: 'windShift',
+    label: 'Wind shift',
+    quantity: 'speed',
+    delta: true,
+    min: -30,
+    max: 30,
+    step: 0.1
+  },
+  {
+    key: 'seasonalAmp',
+    label: 'Seasonal amplitude',
+    quantity: 'temperature',
+    delta: true,
+    min: 0,
+    max: 20,
+    step: 0.5
+  },
+  { key: 'noiseScale', label: 'Noise scale', min: 0, max: 3, step: 0.1 },
+  { key: 'stormProbability', label: 'Storm probability', min: 0, max: 1, step: 0.05 },
+  { key: 'days', label: 'Run length (days, up to 50 years)', min: 1, max: MAX_RUN_YEARS * 365, step: 1 }
+];
+
+const SCENARIO_DEFAULTS = {
+  tempShift: -0.6,
+  tempTrend: 0.0,
+  annualTrend: 0.0,
+  precipFactor: 1.05,
+  minPrecip: 0,
+  windShift: 0.1,
+  seasonalAmp: 5.5,
+  noiseScale: 1.0,
+  stormProbability: 0.2,
+  days: 7
+};
+
+export const BUILT_IN_SCENARIOS = [
+  {
+    id: 'neutral',
+    name: 'Neutral',
+    builtIn: true,
+    ...SCENARIO_DEFAULTS
+  },
+  {
+    id: 'ice-age',
+    name: 'Ice Age',
+    builtIn: true,
+    ...SCENARIO_DEFAULTS,
+    tempShift: -12.5,
+    tempTrend: -0.35,
+    precipFactor: 1.6,
+    minPrecip: 0.6,
+    windShift: -1.2,
+    seasonalAmp: 7.0,
+    noiseScale: 0.6
+  },
+  {
+    id: 'warming',
+    name: 'More Warming',
+    builtIn: true,
+    ...SCENARIO_DEFAULTS,
+    tempShift: 3.8,
+    tempTrend: 0.3,
+    precipFactor: 1.2,
+    windShift: 0.4,
+    seasonalAmp: 6.0
+  }
+];
+
+export function normalizeScenario(input = {}) {
+  const scenario = {
+    id: typeof input.id === 'string' && input.id ? input.id : 'draft',
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Custom',
+    builtIn: Boolean(input.builtIn)
+  };
+
+  SCENARIO_FIELDS.forEach(({ key, min, max }) => {
+    const value = Number(input[key]);
+    scenario[key] = Number.isFinite(value)
+      ? Math.max(min, Math.min(max, value))
+      : SCENARIO_DEFAULTS[key];
+  });
+  scenario.days = Math.round(scenario.days);
+
+  return scenario;
+}
+
+export function createScenarioId(name, existingIds = []) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  let id = `custom-${slug || 'preset'}`;
+  for (let suffix = 2; existingIds.includes(id); suffix += 1) {
+    id = `custom-${slug || 'preset'}-${suffix}`;
+  }
+  return id;
+}
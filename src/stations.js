@@ -0,0 +1,332 @@
+import { localizedError, message } from './i18n.js';
+import { WeatherService } from './weather.js';
+
+export const FIELD_STATION_LABEL = 'Field station';
+
+export const STATION_FIELDS = [
+  {
+    key: 'date',
+    label: 'Date',
+    required: true,
+    aliases: ['date', 'day', 'time', 'timestamp', 'datetime', 'obs_date']
+  },
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    required: true,
+    aliases: ['temperature', 'temp', 'air_temp', 'tavg', 't_mean', 'tmean', 'air_temperature'],
+    units: {
+      '°C': (value) => value,
+      '°F': (value) => ((value - 32) * 5) / 9,
+      K: (value) => value - 273.15
+    }
+  },
+  {
+    key: 'windSpeed',
+    label: 'Wind speed',
+    required: true,
+    aliases: ['wind', 'wind_speed', 'windspeed', 'wspd', 'ws'],
+    units: {
+      'km/h': (value) => value,
+      'm/s': (value) => value * 3.6,
+      mph: (value) => value * 1.609344,
+      kn: (value) => value * 1.852
+    }
+  },
+  {
+    key: 'precipitation',
+    label: 'Precipitation',
+    required: true,
+    aliases: ['precipitation', 'precip', 'prcp', 'rain', 'precip_total'],
+    units: {
+      mm: (value) => value,
+      cm: (value) => value * 10,
+      in: (value) => value * 25.4
+    }
+  },
+  {
+    key: 'humidity',
+    label: 'Humidity',
+    required: false,
+    aliases: ['humidity', 'rh', 'relative_humidity', 'hum'],
+    units: {
+      '%': (value) => value,
+      fraction: (value) => value * 100
+    }
+  },
+  {
+    key: 'pressure',
+    label: 'Pressure',
+    required: false,
+    aliases: ['pressure', 'pres', 'station_pressure', 'baro', 'slp'],
+    units: {
+      hPa: (value) => value,
+      kPa: (value) => value * 10,
+      inHg: (value) => value * 33.8639,
+      mmHg: (value) => value * 1.33322
+    }
+  }
+];
+
+const UNIT_HINTS = {
+  temperature: [
+    [/(^|[^a-z])f($|[^a-z])|fahrenheit|degf/, '°F'],
+    [/(^|[^a-z])k($|[^a-z])|kelvin/, 'K']
+  ],
+  windSpeed: [
+    [/m\/?s|mps/, 'm/s'],
+    [/mph/, 'mph'],
+    [/knot|kts|(^|[^a-z])kn($|[^a-z])/, 'kn']
+  ],
+  precipitation: [
+    [/(^|[^a-z])in($|[^a-z])|inch/, 'in'],
+    [/(^|[^a-z])cm($|[^a-z])/, 'cm']
+  ],
+  humidity: [[/frac/, 'fraction']],
+  pressure: [
+    [/kpa/, 'kPa'],
+    [/inhg/, 'inHg'],
+    [/mmhg/, 'mmHg']
+  ]
+};
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, (match) => ` ${match.slice(1, -1)} `)
+    .trim();
+
+const headerKey = (header) =>
+  normalizeHeader(header)
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell.trim());
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((value) => value !== '')) rows.push(row);
+
+  if (rows.length < 2) {
+    throw localizedError('station.errors.tooFewRows');
+  }
+  const [headers, ...records] = rows;
+  return { headers, rows: records };
+}
+
+export function guessColumnMapping(headers) {
+  const keys = headers.map(headerKey);
+  return STATION_FIELDS.reduce(
+    (acc, field) => {
+      const index = keys.findIndex((key) =>
+        field.aliases.some((alias) => key === alias || key.startsWith(`${alias}_`))
+      );
+      acc.columns[field.key] = index >= 0 ? headers[index] : null;
+      if (field.units) {
+        const header = index >= 0 ? normalizeHeader(headers[index]) : '';
+        const hint = (UNIT_HINTS[field.key] || []).find(([pattern]) => pattern.test(header));
+        acc.units[field.key] = hint ? hint[1] : Object.keys(field.units)[0];
+      }
+      return acc;
+    },
+    { columns: {}, units: {} }
+  );
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  const date = match
+    ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function buildStationSeries(table, { columns, units }) {
+  STATION_FIELDS.filter((field) => field.required).forEach((field) => {
+    if (!columns[field.key] || !table.headers.includes(columns[field.key])) {
+      throw localizedError('station.errors.mapColumn', {
+        field: message(`station.fields.${field.key}`)
+      });
+    }
+  });
+
+  const indexes = STATION_FIELDS.reduce((acc, field) => {
+    acc[field.key] = columns[field.key] ? table.headers.indexOf(columns[field.key]) : -1;
+    return acc;
+  }, {});
+  const invalid = [];
+  const duplicates = [];
+  const byDate = new Map();
+
+  table.rows.forEach((cells, rowIndex) => {
+    const line = rowIndex + 2;
+    const date = parseDay(cells[indexes.date] || '');
+    if (!date) {
+      invalid.push({ line, field: 'date', value: cells[indexes.date] ?? '' });
+      return;
+    }
+
+    const day = { date };
+    let usable = true;
+    STATION_FIELDS.filter((field) => field.units).forEach((field) => {
+      if (indexes[field.key] < 0) {
+        day[field.key] = null;
+        return;
+      }
+      const raw = parseNumber(cells[indexes[field.key]]);
+      if (raw === null || Number.isNaN(raw)) {
+        if (field.required || Number.isNaN(raw)) {
+          invalid.push({ line, field: field.key, value: cells[indexes[field.key]] ?? '' });
+        }
+        if (field.required) usable = false;
+        day[field.key] = null;
+        return;
+      }
+      const convert = field.units[units[field.key]] || Object.values(field.units)[0];
+      day[field.key] = convert(raw);
+    });
+    if (!usable) return;
+
+    day.windSpeed = Math.max(0, day.windSpeed);
+    day.precipitation = Math.max(0, day.precipitation);
+    if (day.humidity !== null) {
+      day.humidity = Math.max(0, Math.min(100, day.humidity));
+    }
+
+    const key = toDateKey(date);
+    if (byDate.has(key)) {
+      duplicates.push({ line, date: key });
+      return;
+    }
+    byDate.set(key, day);
+  });
+
+  const series = [...byDate.values()].sort((a, b) => a.date - b.date);
+  const gaps = [];
+  for (let i = 1; i < series.length; i += 1) {
+    const missing = Math.round((series[i].date - series[i - 1].date) / 86400000) - 1;
+    if (missing > 0) {
+      gaps.push({ after: toDateKey(series[i - 1].date), days: missing });
+    }
+  }
+
+  return { series, issues: { invalid, duplicates, gaps } };
+}
+
+export function describeStationIssues({ invalid, duplicates, gaps }) {
+  const notes = [];
+  if (duplicates.length) {
+    notes.push(message('station.issues.duplicates', { count: duplicates.length }));
+  }
+  if (gaps.length) {
+    const missing = gaps.reduce((sum, gap) => sum + gap.days, 0);
+    notes.push(
+      message('station.issues.gaps', {
+        missing: message('station.issues.missingDays', { count: missing }),
+        gaps: message('station.issues.gapCount', { count: gaps.length }),
+        after: gaps[0].after
+      })
+    );
+  }
+  if (invalid.length) {
+    const first = invalid[0];
+    notes.push(
+      message('station.issues.invalid', {
+        count: invalid.length,
+        line: first.line,
+        field: message(`station.fields.${first.field}`)
+      })
+    );
+  }
+  return notes;
+}
+
+export function createStationDataset({ name, glacierId, series, issues, columns, units }) {
+  if (!series.length) {
+    throw localizedError('station.errors.noUsableRows');
+  }
+  return {
+    name: name || FIELD_STATION_LABEL,
+    glacierId,
+    importedAt: new Date().toISOString(),
+    columns,
+    units,
+    issues: {
+      invalid: issues.invalid.length,
+      duplicates: issues.duplicates.length,
+      gaps: issues.gaps.reduce((sum, gap) => sum + gap.days, 0)
+    },
+    series
+  };
+}
+
+export class FieldStationService extends WeatherService {
+  constructor({ dataset, ...options }) {
+    super({ ...options, provider: 'field-station' });
+    this.dataset = dataset;
+  }
+
+  async fetchCurrent() {
+    const latest = this.dataset.series[this.dataset.series.length - 1];
+    return {
+      ok: true,
+      sourceLabel: FIELD_STATION_LABEL,
+      data: {
+        ...latest,
+        date: new Date(latest.date),
+        timezone: 'UTC',
+        timezoneAbbr: 'UTC'
+      }
+    };
+  }
+
+  async fetchHistoricalSeries(days, endDate = new Date()) {
+    const endKey = toDateKey(new Date(endDate));
+    const series = this.dataset.series
+      .filter((day) => toDateKey(day.date) < endKey)
+      .slice(-days)
+      .map((day) => ({ ...day, date: new Date(day.date) }));
+    if (series.length === 0) {
+      return super.fetchHistoricalSeries(days, endDate);
+    }
+    return { ok: true, sourceLabel: FIELD_STATION_LABEL, series };
+  }
+}
@@ -0,0 +1,195 @@
+import { DEFAULT_MAX_HISTORY } from './history.js';
+
+const STORAGE_KEY = 'glacier-sim:state';
+
+export const STORES = {
+  profiles: { key: 'glacier-sim:profiles', version: 1, field: 'profiles' },
+  alertRules: { key: 'glacier-sim:alert-rules', version: 1, field: 'rules' },
+  presets: { key: 'glacier-sim:scenario-presets', version: 1, field: 'presets', list: true },
+  customGlaciers: {
+    key: 'glacier-sim:custom-glaciers',
+    version: 1,
+    field: 'glaciers',
+    list: true
+  },
+  stations: { key: 'glacier-sim:station-datasets', version: 1, field: 'datasets', dates: true },
+  offline: { key: 'glacier-sim:offline-weather', version: 1, field: 'glaciers', dates: true },
+  settings: { key: 'glacier-sim:settings', version: 1, field: 'settings' }
+};
+
+const SCHEMA_VERSION = 2;
+
+const migrateSnapshot = (snapshot) =>
+  snapshot && {
+    ...snapshot,
+    maxHistory: Math.max(snapshot.maxHistory ?? DEFAULT_MAX_HISTORY, DEFAULT_MAX_HISTORY),
+    ensemble: snapshot.ensemble ?? null,
+    alertLog: Array.isArray(snapshot.alertLog) ? snapshot.alertLog : []
+  };
+
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    version: 2,
+    glaciers: Object.entries(data.glaciers || {}).reduce((acc, [glacierId, saved]) => {
+      acc[glacierId] = saved && {
+        ...saved,
+        model: migrateSnapshot(saved.model),
+        baselineSnapshot: migrateSnapshot(saved.baselineSnapshot)
+      };
+      return acc;
+    }, {})
+  })
+};
+
+const DATE_KEYS = new Set(['date', 'endDate', 'firstSeen', 'lastSeen', 'cleared']);
+
+const reviveDates = (key, value) => {
+  if (DATE_KEYS.has(key) && typeof value === 'string') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return value;
+};
+
+export function migrateStoredState(data) {
+  if (!data || typeof data !== 'object' || typeof data.version !== 'number') return null;
+  let migrated = data;
+
+  while (migrated.version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) return null;
+    migrated = migrate(migrated);
+  }
+
+  if (migrated.version !== SCHEMA_VERSION) return null;
+  return migrated;
+}
+
+function defaultStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+const QUOTA_ERROR_CODES = new Set([22, 1014]);
+
+const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' ||
+  error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  QUOTA_ERROR_CODES.has(error?.code);
+
+class StorageSlot {
+  constructor({ storage, key, name, onError }) {
+    this.storage = storage === undefined ? defaultStorage() : storage;
+    this.key = key;
+    this.name = name;
+    this.onError = onError;
+  }
+
+  read(reviver) {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(this.key);
+      return raw ? JSON.parse(raw, reviver) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(payload) {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(payload));
+      return true;
+    } catch (error) {
+      this.onError?.({ store: this.name, quota: isQuotaError(error), error });
+      return false;
+    }
+  }
+
+  clear() {
+    if (!this.storage) return false;
+    try {
+      this.storage.removeItem(this.key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export class StateStore {
+  constructor({ storage, key = STORAGE_KEY, onError } = {}) {
+    this.slot = new StorageSlot({ storage, key, name: 'state', onError });
+  }
+
+  load() {
+    return migrateStoredState(this.slot.read(reviveDates));
+  }
+
+  save({ activeGlacierId, glaciers }) {
+    return this.slot.write({
+      version: SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      activeGlacierId,
+      glaciers
+    });
+  }
+
+  clear() {
+    return this.slot.clear();
+  }
+}
+
+export class KeyedStore {
+  constructor({ storage, name, key, version, field, list = false, dates = false, onError }) {
+    this.slot = new StorageSlot({ storage, key, name, onError });
+    this.version = version;
+    this.field = field;
+    this.list = list;
+    this.reviver = dates ? reviveDates : undefined;
+  }
+
+  loadAll() {
+    const data = this.slot.read(this.reviver);
+    const entries = data?.version === this.version ? data[this.field] : null;
+    if (this.list) return Array.isArray(entries) ? entries : [];
+    return entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+  }
+
+  load(id) {
+    const entries = this.loadAll();
+    return (this.list ? entries.find((entry) => entry.id === id) : entries[id]) ?? null;
+  }
+
+  save(id, value) {
+    if (this.list) {
+      return this.write([...this.loadAll().filter((entry) => entry.id !== id), value]);
+    }
+    return this.write({ ...this.loadAll(), [id]: value });
+  }
+
+  remove(id) {
+    if (this.list) {
+      return this.write(this.loadAll().filter((entry) => entry.id !== id));
+    }
+    const entries = this.loadAll();
+    delete entries[id];
+    return this.write(entries);
+  }
+
+  write(entries) {
+    return this.slot.write({ version: this.version, [this.field]: entries });
+  }
+
+  clear() {
+    return this.write(this.list ? [] : {});
+  }
+}
+
+export function createStore(name, { storage, onError } = {}) {
+  return new KeyedStore({ ...STORES[name], name, storage, onError });
+}
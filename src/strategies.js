@@ -0,0 +1,107 @@
+const STEFAN_BOLTZMANN = 5.67e-8;
+const LATENT_HEAT_FUSION = 3.34e5;
+const LATENT_HEAT_SUBLIMATION = 2.834e6;
+const SPECIFIC_HEAT_AIR = 1005;
+const GAS_CONSTANT_DRY_AIR = 287.05;
+const SOLAR_CONSTANT = 1361;
+const SECONDS_PER_DAY = 86400;
+const MELT_MM_PER_DEGREE_DAY = 4;
+const SUBLIMATION_MM_PER_KMH = 0.05;
+
+const ENERGY_BALANCE_DEFAULTS = {
+  albedo: 0.6,
+  exchangeCoefficient: 0.002,
+  transmissivity: 0.5,
+  defaultHumidity: 80
+};
+
+const saturationVaporPressure = (temperature) =>
+  temperature < 0
+    ? 6.112 * Math.exp((22.46 * temperature) / (272.62 + temperature))
+    : 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5));
+
+const standardPressure = (elevation = 0) => 1013.25 * Math.exp(-elevation / 8434);
+
+function estimateShortwave(latitude, date, transmissivity) {
+  if (!Number.isFinite(latitude) || !(date instanceof Date)) return 0;
+  const dayOfYear = Math.floor(
+    (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) -
+      Date.UTC(date.getFullYear(), 0, 0)) /
+      86400000
+  );
+  const phi = (latitude * Math.PI) / 180;
+  const declination = 0.409 * Math.sin(((2 * Math.PI) / 365) * dayOfYear - 1.39);
+  const sunsetAngle = Math.acos(
+    Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(declination)))
+  );
+  const distanceFactor = 1 + 0.033 * Math.cos(((2 * Math.PI) / 365) * dayOfYear);
+  const topOfAtmosphere =
+    (SOLAR_CONSTANT / Math.PI) *
+    distanceFactor *
+    (sunsetAngle * Math.sin(phi) * Math.sin(declination) +
+      Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetAngle));
+  return Math.max(0, topOfAtmosphere * transmissivity);
+}
+
+export const classicStrategy = {
+  id: 'classic',
+  name: 'Classic degree-day',
+  calculate({ temperature, windSpeed, precipitation }, params) {
+    const accumulation = temperature <= 1 ? precipitation * params.accumulationRate : 0;
+    const melt = temperature > 0 ? temperature * params.meltRate : 0;
+    const sublimation = windSpeed * params.sublimationRate;
+    return { accumulation, melt, sublimation };
+  }
+};
+
+export const energyBalanceStrategy = {
+  id: 'energy-balance',
+  name: 'Surface energy balance',
+  calculate(observation, modelParams, context = {}) {
+    const params = { ...ENERGY_BALANCE_DEFAULTS, ...modelParams };
+    const { temperature, precipitation } = observation;
+    const windMs = Math.max(0, observation.windSpeed ?? 0) / 3.6;
+    const humidity = Math.max(1, Math.min(100, observation.humidity ?? params.defaultHumidity));
+    const pressure = Number.isFinite(observation.pressure) && observation.pressure > 0
+      ? observation.pressure
+      : standardPressure(context.elevation);
+    const shortwave = Number.isFinite(observation.shortwaveRadiation)
+      ? observation.shortwaveRadiation
+      : estimateShortwave(context.latitude, observation.date, params.transmissivity);
+
+    const surfaceTemperature = Math.min(0, temperature);
+    const airKelvin = temperature + 273.15;
+    const surfaceKelvin = surfaceTemperature + 273.15;
+    const vaporPressure = (humidity / 100) * saturationVaporPressure(temperature);
+    const surfaceVaporPressure = saturationVaporPressure(surfaceTemperature);
+    const airDensity = (pressure * 100) / (GAS_CONSTANT_DRY_AIR * airKelvin);
+    const atmosphericEmissivity = Math.min(1, 1.24 * Math.pow(vaporPressure / airKelvin, 1 / 7));
+
+    const netShortwave = shortwave * (1 - params.albedo);
+    const netLongwave =
+      STEFAN_BOLTZMANN * (atmosphericEmissivity * airKelvin ** 4 - surfaceKelvin ** 4);
+    const sensibleHeat =
+      airDensity * SPECIFIC_HEAT_AIR * params.exchangeCoefficient * windMs *
+      (temperature - surfaceTemperature);
+    const latentHeat =
+      airDensity * LATENT_HEAT_SUBLIMATION * params.exchangeCoefficient * windMs *
+      ((0.622 * (vaporPressure - surfaceVaporPressure)) / pressure);
+    const surplus = netShortwave + netLongwave + sensibleHeat + latentHeat;
+
+    const meltWater =
+      surplus > 0 && temperature >= 0 ? (surplus * SECONDS_PER_DAY) / LATENT_HEAT_FUSION : 0;
+    const sublimatedWater =
+      latentHeat < 0 ? (-latentHeat * SECONDS_PER_DAY) / LATENT_HEAT_SUBLIMATION : 0;
+
+    const accumulation = temperature <= 1 ? precipitation * params.accumulationRate : 0;
+    const melt = (meltWater / MELT_MM_PER_DEGREE_DAY) * params.meltRate;
+    const sublimation = (sublimatedWater / SUBLIMATION_MM_PER_KMH) * params.sublimationRate;
+    return { accumulation, melt, sublimation };
+  }
+};
+
+export const MASS_BALANCE_STRATEGIES = [classicStrategy, energyBalanceStrategy];
+
+export function getStrategy(id) {
+  return MASS_BALANCE_STRATEGIES.find((strategy) => strategy.id === id) || classicStrategy;
+}
@@ -1,7 +1,113 @@
 import Chart from 'chart.js/auto';
+import { aggregateHistory, chooseResolution, describeWindow } from './history.js';
+import { MAX_RUN_YEARS } from './scenarios.js';
+import {
+  ALERT_COMPARATORS,
+  ALERT_METRICS,
+  ALERT_SEVERITIES,
+  describeMetric,
+  describeRuleLabel
+} from './alerts.js';
+import { describeQcFlag } from './qc.js';
+import {
+  errorMessage,
+  formatDate,
+  formatNumber,
+  getLocale,
+  hasMessage,
+  intlLocale,
+  message,
+  translate,
+  translateMessage
+} from './i18n.js';
+import {
+  DEFAULT_UNIT_SYSTEM,
+  convertDelta,
+  convertValue,
+  formatQuantity,
+  normalizeUnitSystem,
+  toMetricDelta,
+  toMetricValue,
+  unitLabel
+} from './units.js';
 
-const formatNumber = (value, digits = 1) =>
-  Number.isFinite(value) ? value.toFixed(digits) : '--';
+const COMPARISON_COLORS = ['#4aa3ff', '#77d7a6', '#ffc766', '#ff7373', '#c29bff', '#5ee0e0'];
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString().slice(0, 10) : null);
+
+const formatCoordinate = (value, positive, negative) =>
+  `${formatNumber(Math.abs(value), 3)}${value >= 0 ? positive : negative}`;
+
+const renderParagraphs = (container, items, tagName) => {
+  container.replaceChildren(
+    ...items.map((item) => {
+      const element = document.createElement(tagName);
+      element.textContent = translateMessage(item);
+      return element;
+    })
+  );
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidDate = (date) => date instanceof Date && !Number.isNaN(date.getTime());
+
+const formatLogDate = (date) => formatDate(date, { dateStyle: 'medium' });
+
+function describeLogEnd(event) {
+  if (!event.cleared) return translate('alertLog.active');
+  if (!event.supersededBy) return formatLogDate(event.cleared);
+  return translate('alertLog.superseded', {
+    label: event.supersededBy,
+    date: formatLogDate(event.cleared)
+  });
+}
+
+const PARAM_LABELS = {
+  accumulationRate: 'calibration.accumulation',
+  meltRate: 'calibration.melt',
+  sublimationRate: 'calibration.sublimation'
+};
+
+const CONFIDENCE_RANK = { Low: 0, Medium: 1, High: 2 };
+
+const FLEET_SORT_VALUES = {
+  name: (row) => row.name.toLowerCase(),
+  healthIndex: (row) => row.healthIndex,
+  dailyChange: (row) => row.dailyChange,
+  sevenDayTrend: (row) => row.sevenDayTrend,
+  state: (row) => row.state,
+  confidence: (row) => CONFIDENCE_RANK[row.confidence] ?? -1,
+  alerts: (row) => row.alerts.length,
+  timeToLoss: (row) => row.timeToLossDays
+};
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+
+function createSparkline(values, state) {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+  svg.setAttribute('class', `sparkline ${state.toLowerCase()}`);
+  const finite = values.filter((value) => Number.isFinite(value));
+  if (finite.length < 2) return svg;
+
+  const min = Math.min(...finite);
+  const range = Math.max(...finite) - min || 1;
+  const step = SPARKLINE_WIDTH / (finite.length - 1);
+  const polyline = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+  polyline.setAttribute(
+    'points',
+    finite
+      .map((value, index) => {
+        const y = SPARKLINE_HEIGHT - 2 - ((value - min) / range) * (SPARKLINE_HEIGHT - 4);
+        return `${(index * step).toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(' ')
+  );
+  svg.appendChild(polyline);
+  return svg;
+}
 
 const formatDateTime = (date, timezoneAbbr) => {
   if (!(date instanceof Date)) return '--';
@@ -12,7 +118,35 @@ const formatDateTime = (date, timezoneAbbr) => {
     hour: '2-digit',
     minute: '2-digit'
   };
-  return `${date.toLocaleString(undefined, options)} ${timezoneAbbr || ''}`.trim();
+  return `${formatDate(date, options)} ${timezoneAbbr || ''}`.trim();
+};
+
+const optionalText = (key, fallback) => (hasMessage(key) ? translate(key) : fallback);
+
+const scenarioDisplayValue = (field, value, system) => {
+  if (!field.quantity) return value;
+  return field.delta
+    ? convertDelta(value, field.quantity, system)
+    : convertValue(value, field.quantity, system);
+};
+
+const scenarioMetricValue = (field, value, system) => {
+  if (!field.quantity) return value;
+  const metric = field.delta
+    ? toMetricDelta(value, field.quantity, system)
+    : toMetricValue(value, field.quantity, system);
+  return Number.isFinite(metric) ? Number(metric.toFixed(6)) : value;
+};
+
+const editorNumber = (value) => String(Number(value.toFixed(3)));
+
+const presetName = (preset) =>
+  preset.builtIn ? optionalText(`scenario.builtIn.${preset.id}`, preset.name) : preset.name;
+
+const CHART_DATASET_KEYS = {
+  health: ['healthIndex', 'ensembleP90', 'ensembleP10', 'ensembleMedian'],
+  mass: ['dailyChange', 'ensembleRange'],
+  bands: ['bandChange']
 };
 
 export class DashboardUI {
@@ -20,6 +154,10 @@ export class DashboardUI {
     this.elements = this.cacheElements();
     this.currentScenario = null;
     this.chartWindowDays = 30;
+    this.fleetRows = [];
+    this.fleetSort = { key: 'healthIndex', direction: 'asc' };
+    this.unitSystem = DEFAULT_UNIT_SYSTEM;
+    this.lastCurrentResult = null;
     this.bindEvents();
     this.initCharts();
     this.setChartWindow(this.chartWindowDays);
@@ -33,20 +171,79 @@ export class DashboardUI {
       humidity: document.getElementById('humidity'),
       pressure: document.getElementById('pressure'),
       timestamp: document.getElementById('timestamp'),
+      unitLabels: document.querySelectorAll('[data-unit]'),
+      unitSystemSelect: document.getElementById('unit-system'),
+      localeSelect: document.getElementById('locale-select'),
+      provenanceTags: document.querySelectorAll('[data-provenance]'),
+      provenanceNote: document.getElementById('provenance-note'),
+      stationNote: document.getElementById('station-note'),
+      qcNote: document.getElementById('qc-note'),
       dataStatus: document.getElementById('data-status'),
       glacierState: document.getElementById('glacier-state'),
       confidenceBadge: document.getElementById('confidence-badge'),
       confidenceWhy: document.getElementById('confidence-why'),
+      strategySelect: document.getElementById('strategy-select'),
+      strategyName: document.getElementById('strategy-name'),
+      paramAccumulation: document.getElementById('param-accumulation'),
+      paramMelt: document.getElementById('param-melt'),
+      paramSublimation: document.getElementById('param-sublimation'),
+      calibrationStats: document.getElementById('calibration-stats'),
+      calibrationFile: document.getElementById('calibration-file'),
+      calibrationReset: document.getElementById('calibration-reset'),
+      alertRuleRows: document.getElementById('alert-rule-rows'),
+      alertRuleStatus: document.getElementById('alert-rule-status'),
+      alertRuleSave: document.getElementById('alert-rule-save'),
+      alertRuleReset: document.getElementById('alert-rule-reset'),
+      alertRulePreview: document.getElementById('alert-rule-preview'),
+      alertLogStatus: document.getElementById('alert-log-status'),
+      alertTimeline: document.getElementById('alert-timeline'),
+      alertLogRows: document.getElementById('alert-log-rows'),
+      stationStatus: document.getElementById('station-status'),
+      stationFile: document.getElementById('station-file'),
+      stationRemove: document.getElementById('station-remove'),
+      stationMapping: document.getElementById('station-mapping'),
+      stationName: document.getElementById('station-name'),
+      stationFields: document.getElementById('station-fields'),
+      stationIssues: document.getElementById('station-issues'),
+      stationImport: document.getElementById('station-import'),
+      stationCancel: document.getElementById('station-cancel'),
       alerts: document.getElementById('alert-badges'),
       healthIndex: document.getElementById('health-index'),
       dailyChange: document.getElementById('daily-change'),
       sevenDayTrend: document.getElementById('seven-day-trend'),
+      thirtyDayTrend: document.getElementById('thirty-day-trend'),
+      annualBalance: document.getElementById('annual-balance'),
+      longRunYears: document.getElementById('long-run-years'),
+      longRunButton: document.getElementById('long-run'),
+      chartMassTitle: document.getElementById('chart-mass-title'),
+      equilibriumLine: document.getElementById('equilibrium-line'),
       summary: document.getElementById('daily-summary'),
       simulateButtons: document.querySelectorAll('[data-simulate]'),
+      ensembleEnabled: document.getElementById('ensemble-enabled'),
+      ensembleMembers: document.getElementById('ensemble-members'),
+      ensembleParams: document.getElementById('ensemble-params'),
+      ensembleProgress: document.getElementById('ensemble-progress'),
       refreshButton: document.getElementById('refresh-weather'),
+      clearSavedButton: document.getElementById('clear-saved'),
       simulationSource: document.getElementById('simulation-source'),
       scenarioStatus: document.getElementById('scenario-status'),
-      scenarioButtons: document.querySelectorAll('[data-scenario]'),
+      scenarioPresets: document.getElementById('scenario-presets'),
+      scenarioFields: document.getElementById('scenario-fields'),
+      scenarioName: document.getElementById('scenario-name'),
+      scenarioSave: document.getElementById('scenario-save'),
+      scenarioRun: document.getElementById('scenario-run'),
+      scenarioDelete: document.getElementById('scenario-delete'),
+      scenarioEditorStatus: document.getElementById('scenario-editor-status'),
+      comparisonOptions: document.getElementById('comparison-options'),
+      comparisonRun: document.getElementById('comparison-run'),
+      comparisonExit: document.getElementById('comparison-exit'),
+      comparisonStatus: document.getElementById('comparison-status'),
+      comparisonCard: document.getElementById('comparison-card'),
+      comparisonRows: document.getElementById('comparison-rows'),
+      networkStatus: document.getElementById('network-status'),
+      networkRows: document.getElementById('network-rows'),
+      networkEvents: document.getElementById('network-events'),
+      networkClear: document.getElementById('network-clear'),
       chartWindowHealth: document.getElementById('chart-window-health'),
       chartWindowMass: document.getElementById('chart-window-mass'),
       timeToLossValue: document.getElementById('time-to-loss-value'),
@@ -56,6 +253,22 @@ export class DashboardUI {
       glacierCoordinates: document.getElementById('glacier-coordinates'),
       glacierSelect: document.getElementById('glacier-select'),
       glacierInfoButton: document.getElementById('glacier-info'),
+      exportButtons: document.querySelectorAll('[data-export]'),
+      copyLinkButton: document.getElementById('copy-link'),
+      addGlacierButton: document.getElementById('add-glacier'),
+      dashboard: document.getElementById('dashboard'),
+      fleetPanel: document.getElementById('fleet-panel'),
+      fleetButton: document.getElementById('fleet-overview'),
+      fleetRefresh: document.getElementById('fleet-refresh'),
+      fleetHead: document.getElementById('fleet-head'),
+      fleetRows: document.getElementById('fleet-rows'),
+      fleetStatus: document.getElementById('fleet-status'),
+      storageStatus: document.getElementById('storage-status'),
+      addGlacierPanel: document.getElementById('add-glacier-panel'),
+      addGlacierForm: document.getElementById('add-glacier-form'),
+      addGlacierCancel: document.getElementById('add-glacier-cancel'),
+      addGlacierProvider: document.getElementById('add-glacier-provider'),
+      addGlacierStatus: document.getElementById('add-glacier-status'),
       infoTitle: document.getElementById('info-title'),
       infoSubtitle: document.getElementById('info-subtitle'),
       infoOrigin: document.getElementById('info-origin'),
@@ -63,7 +276,9 @@ export class DashboardUI {
       infoFacts: document.getElementById('info-facts'),
       infoMatters: document.getElementById('info-matters'),
       chartHealth: document.getElementById('chart-health'),
-      chartMass: document.getElementById('chart-mass')
+      chartMass: document.getElementById('chart-mass'),
+      chartBands: document.getElementById('chart-bands'),
+      chartWindowBands: document.getElementById('chart-window-bands')
     };
   }
 
@@ -72,11 +287,140 @@ export class DashboardUI {
       this.onRefreshCallback?.();
     });
 
+    this.elements.clearSavedButton?.addEventListener('click', () => {
+      const confirmed = window.confirm(translate('header.clearSavedConfirm'));
+      if (confirmed) {
+        this.onClearSavedCallback?.();
+      }
+    });
+
+    this.elements.unitSystemSelect?.addEventListener('change', (event) => {
+      this.onUnitSystemChangeCallback?.(event.target.value);
+    });
+
+    this.elements.localeSelect?.addEventListener('change', (event) => {
+      this.onLocaleChangeCallback?.(event.target.value);
+    });
+
     this.elements.glacierSelect?.addEventListener('change', (event) => {
       const glacierId = event.target.value;
       this.onGlacierChangeCallback?.(glacierId);
     });
 
+    this.elements.copyLinkButton?.addEventListener('click', () => {
+      this.onCopyLinkCallback?.();
+    });
+
+    this.elements.exportButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.onExportCallback?.(button.dataset.export);
+      });
+    });
+
+    this.elements.fleetButton?.addEventListener('click', () => {
+      if (this.fleetMode) {
+        this.onGlacierChangeCallback?.(this.elements.glacierSelect?.value);
+      } else {
+        this.onFleetShowCallback?.();
+      }
+    });
+
+    this.elements.fleetRefresh?.addEventListener('click', () => {
+      this.onFleetRefreshCallback?.();
+    });
+
+    this.elements.fleetHead?.addEventListener('click', (event) => {
+      const header = event.target.closest('[data-sort-key]');
+      if (!header) return;
+      const key = header.dataset.sortKey;
+      const direction =
+        this.fleetSort.key === key && this.fleetSort.direction === 'asc' ? 'desc' : 'asc';
+      this.fleetSort = { key, direction };
+      this.renderFleetRows();
+    });
+
+    this.elements.fleetRows?.addEventListener('click', (event) => {
+      const row = event.target.closest('[data-glacier-id]');
+      if (row) {
+        this.onFleetOpenCallback?.(row.dataset.glacierId);
+      }
+    });
+
+    this.elements.addGlacierButton?.addEventListener('click', () => {
+      this.openAddGlacierDialog();
+    });
+
+    this.elements.addGlacierCancel?.addEventListener('click', () => {
+      this.closeAddGlacierDialog();
+    });
+
+    this.elements.addGlacierForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const form = new FormData(this.elements.addGlacierForm);
+      this.onAddGlacierCallback?.({
+        name: form.get('name'),
+        region: form.get('region'),
+        latitude: form.get('latitude'),
+        longitude: form.get('longitude'),
+        provider: form.get('provider')
+      });
+    });
+
+    this.elements.strategySelect?.addEventListener('change', (event) => {
+      this.onStrategyChangeCallback?.(event.target.value);
+    });
+
+    this.elements.calibrationFile?.addEventListener('change', async (event) => {
+      const file = event.target.files?.[0];
+      if (!file) return;
+      const text = await file.text();
+      event.target.value = '';
+      this.onCalibrateCallback?.(text);
+    });
+
+    this.elements.calibrationReset?.addEventListener('click', () => {
+      this.onResetCalibrationCallback?.();
+    });
+
+    this.elements.alertRuleRows?.addEventListener('change', () => {
+      this.onAlertRulesEditCallback?.(this.getAlertRuleEdits());
+    });
+
+    this.elements.alertRuleSave?.addEventListener('click', () => {
+      this.onAlertRulesSaveCallback?.(this.getAlertRuleEdits());
+    });
+
+    this.elements.alertRuleReset?.addEventListener('click', () => {
+      this.onAlertRulesResetCallback?.();
+    });
+
+    this.elements.stationFile?.addEventListener('change', async (event) => {
+      const file = event.target.files?.[0];
+      if (!file) return;
+      const text = await file.text();
+      event.target.value = '';
+      this.onStationFileCallback?.(text, file.name.replace(/\.[^.]+$/, ''));
+    });
+
+    this.elements.stationFields?.addEventListener('change', () => {
+      this.onStationMappingChangeCallback?.(this.getStationMapping());
+    });
+
+    this.elements.stationImport?.addEventListener('click', () => {
+      this.onStationImportCallback?.(
+        this.getStationMapping(),
+        this.elements.stationName?.value.trim() || ''
+      );
+    });
+
+    this.elements.stationCancel?.addEventListener('click', () => {
+      this.hideStationMapping();
+    });
+
+    this.elements.stationRemove?.addEventListener('click', () => {
+      this.onStationRemoveCallback?.();
+    });
+
     this.elements.simulateButtons?.forEach((button) => {
       button.addEventListener('click', () => {
         const days = Number(button.dataset.simulate || 1);
@@ -84,13 +428,38 @@ export class DashboardUI {
       });
     });
 
-    this.elements.scenarioButtons?.forEach((button) => {
-      button.addEventListener('click', () => {
-        this.setScenario(button.dataset.scenario);
-        this.onScenarioSelectCallback?.(this.currentScenario);
-      });
+    this.elements.scenarioPresets?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-preset-id]');
+      if (!button) return;
+      this.setScenario(button.dataset.presetId);
+      this.onScenarioSelectCallback?.(this.currentScenario);
+    });
+
+    this.elements.scenarioSave?.addEventListener('click', () => {
+      this.onScenarioSaveCallback?.(this.getEditorScenario());
+    });
+
+    this.elements.scenarioRun?.addEventListener('click', () => {
+      this.onScenarioRunCallback?.(this.getEditorScenario());
+    });
+
+    this.elements.scenarioDelete?.addEventListener('click', () => {
+      this.onScenarioDeleteCallback?.(this.editorPresetId);
     });
 
+    this.elements.longRunButton?.addEventListener('click', () => {
+      const years = Math.round(Number(this.elements.longRunYears?.value || 1));
+      if (!Number.isFinite(years)) return;
+      this.onLongRunCallback?.(Math.max(1, Math.min(MAX_RUN_YEARS, years)));
+    });
+
+    this.elements.comparisonRun?.addEventListener('click', () => {
+      this.onCompareCallback?.(this.getComparisonSelection());
+    });
+
+    this.elements.comparisonExit?.addEventListener('click', () => {
+      this.onCompareExitCallback?.();
+    });
   }
 
   initCharts() {
@@ -100,13 +469,41 @@ export class DashboardUI {
         labels: [],
         datasets: [
           {
-            label: 'Health Index',
+            label: translate('chart.datasets.healthIndex'),
             data: [],
             borderColor: '#4aa3ff',
             backgroundColor: 'rgba(74, 163, 255, 0.2)',
             tension: 0.35,
             fill: true,
             pointRadius: 3
+          },
+          {
+            label: translate('chart.datasets.ensembleP90'),
+            data: [],
+            borderColor: 'rgba(119, 215, 166, 0.35)',
+            backgroundColor: 'rgba(119, 215, 166, 0.12)',
+            borderDash: [4, 4],
+            tension: 0.35,
+            fill: false,
+            pointRadius: 0
+          },
+          {
+            label: translate('chart.datasets.ensembleP10'),
+            data: [],
+            borderColor: 'rgba(119, 215, 166, 0.35)',
+            backgroundColor: 'rgba(119, 215, 166, 0.15)',
+            borderDash: [4, 4],
+            tension: 0.35,
+            fill: '-1',
+            pointRadius: 0
+          },
+          {
+            label: translate('chart.datasets.ensembleMedian'),
+            data: [],
+            borderColor: '#77d7a6',
+            tension: 0.35,
+            fill: false,
+            pointRadius: 0
           }
         ]
       },
@@ -139,12 +536,19 @@ export class DashboardUI {
         labels: [],
         datasets: [
           {
-            label: 'Daily Mass Change',
+            label: translate('chart.datasets.dailyChange'),
             data: [],
             backgroundColor: (ctx) => {
               const value = ctx.raw ?? 0;
               return value >= 0 ? 'rgba(120, 214, 167, 0.7)' : 'rgba(255, 99, 99, 0.7)';
             }
+          },
+          {
+            label: translate('chart.datasets.ensembleRange'),
+            data: [],
+            backgroundColor: 'rgba(255, 255, 255, 0.18)',
+            borderColor: 'rgba(255, 255, 255, 0.35)',
+            borderWidth: 1
           }
         ]
       },
@@ -169,10 +573,69 @@ export class DashboardUI {
         }
       }
     });
+
+    this.bandChart = new Chart(this.elements.chartBands, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: translate('chart.datasets.bandChange'),
+            data: [],
+            backgroundColor: (ctx) => {
+              const value = ctx.raw ?? 0;
+              return value >= 0 ? 'rgba(120, 214, 167, 0.7)' : 'rgba(255, 99, 99, 0.7)';
+            }
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        indexAxis: 'y',
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            callbacks: {
+              afterLabel: (ctx) => {
+                const band = this.bandProfile?.[ctx.dataIndex];
+                return band
+                  ? translate('chart.area', { percent: Math.round(band.areaFraction * 100) })
+                  : '';
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            grid: {
+              color: 'rgba(255,255,255,0.08)'
+            }
+          },
+          y: {
+            reverse: true,
+            title: {
+              display: true,
+              text: translate('chart.elevationAxis', { unit: unitLabel('elevation', this.unitSystem) }),
+              color: 'rgba(255,255,255,0.6)'
+            },
+            grid: {
+              display: false
+            }
+          }
+        }
+      }
+    });
+
+    this.defaultHealthDatasets = this.healthChart.data.datasets;
+    this.defaultMassDatasets = this.massChart.data.datasets;
+    this.comparisonActive = false;
   }
 
   updateCurrentConditions(result) {
     if (!result.ok || !result.data) return;
+    this.lastCurrentResult = result;
     const {
       temperature,
       windSpeed,
@@ -182,28 +645,123 @@ export class DashboardUI {
       date,
       timezoneAbbr
     } = result.data;
-    this.elements.temperature.textContent = formatNumber(temperature, 1);
-    this.elements.windSpeed.textContent = formatNumber(windSpeed, 1);
-    this.elements.precipitation.textContent = formatNumber(precipitation, 2);
+    const units = this.unitSystem;
+    this.elements.temperature.textContent = formatQuantity(temperature, 'temperature', units, {
+      unit: false
+    });
+    this.elements.windSpeed.textContent = formatQuantity(windSpeed, 'speed', units, { unit: false });
+    this.elements.precipitation.textContent = formatQuantity(precipitation, 'precipitation', units, {
+      unit: false
+    });
     this.elements.humidity.textContent = formatNumber(humidity, 0);
-    this.elements.pressure.textContent = formatNumber(pressure, 0);
+    this.elements.pressure.textContent = formatQuantity(pressure, 'pressure', units, { unit: false });
     this.elements.timestamp.textContent = formatDateTime(date, timezoneAbbr);
+    this.updateProvenance(result.data.provenance, timezoneAbbr);
+    this.updateStationNote(result.data.stations);
+    this.updateQcNote(result.data.qc);
+  }
+
+  updateQcNote(flags) {
+    const note = this.elements.qcNote;
+    if (!note) return;
+    note.hidden = !flags?.length;
+    note.textContent = flags?.length
+      ? translate('current.qcNote', { flags: flags.map(describeQcFlag) })
+      : '';
+  }
+
+  updateStationNote(stations) {
+    const note = this.elements.stationNote;
+    if (!note) return;
+    note.hidden = !stations?.length;
+    if (!stations?.length) {
+      note.textContent = '';
+      return;
+    }
+    const parts = stations.map((station) => {
+      const offsets = [formatQuantity(station.distanceKm, 'distance', this.unitSystem)];
+      if (typeof station.elevationOffset === 'number') {
+        const sign = station.elevationOffset >= 0 ? '+' : '';
+        offsets.push(`${sign}${formatQuantity(station.elevationOffset, 'elevation', this.unitSystem)}`);
+      }
+      if (typeof station.ageHours === 'number') {
+        offsets.push(translate('current.stationAge', { hours: formatNumber(station.ageHours, 1) }));
+      }
+      const weight = stations.length > 1 ? `, ${formatNumber(station.weight * 100, 0)}%` : '';
+      return `${station.id} (${offsets.join(', ')}${weight})`;
+    });
+    note.textContent = translate('current.stations', {
+      count: stations.length,
+      stations: parts.join(' • ')
+    });
+    note.title = stations.map((station) => `${station.id}: ${station.name}`).join('\n');
+  }
+
+  updateProvenance(provenance, timezoneAbbr) {
+    const flagged = [];
+    this.elements.provenanceTags.forEach((tag) => {
+      const entry = provenance?.[tag.dataset.provenance];
+      tag.className = `provenance ${entry?.quality || ''}`.trim();
+      if (!entry) {
+        tag.textContent = '';
+        tag.removeAttribute('title');
+        return;
+      }
+      tag.textContent = entry.source || translate('current.notAvailable');
+      const observedAt = entry.observedAt ? new Date(entry.observedAt) : null;
+      const quality = translate(`provenance.${entry.quality}`);
+      tag.title = `${entry.source || translate('current.noSource')} • ${quality}${
+        observedAt ? ` • ${formatDateTime(observedAt, timezoneAbbr)}` : ''
+      }`;
+      if (entry.quality !== 'primary') {
+        flagged.push(
+          translate('current.provenanceFlag', {
+            field: translate(`current.${tag.dataset.provenance}`),
+            quality: quality.toLocaleLowerCase(intlLocale())
+          })
+        );
+      }
+    });
+
+    if (!this.elements.provenanceNote) return;
+    this.elements.provenanceNote.hidden = flagged.length === 0;
+    this.elements.provenanceNote.textContent = flagged.length
+      ? translate('current.provenanceNote', { fields: flagged })
+      : '';
   }
 
   updateDataStatus(result) {
     if (!this.elements.dataStatus) return;
+    this.elements.dataStatus.title = result.failed ? errorMessage(result.failed) : '';
+    if (result.failed) {
+      this.elements.dataStatus.textContent = translate('status.failed');
+      this.elements.dataStatus.className = 'status-pill fallback';
+      return;
+    }
     if (result.mode === 'scenario') {
-      this.elements.dataStatus.textContent = 'Scenario mode';
+      this.elements.dataStatus.textContent = translate('status.scenario');
       this.elements.dataStatus.className = 'status-pill fallback';
       this.setScenarioMode(true);
       return;
     }
-    if (result.ok) {
-      this.elements.dataStatus.textContent = 'Live data';
+    if (result.qcFallback) {
+      this.elements.dataStatus.textContent = translate('status.qcFallback', {
+        time: formatDateTime(result.savedAt)
+      });
+      this.elements.dataStatus.className = 'status-pill fallback';
+      this.setScenarioMode(false);
+    } else if (result.offline) {
+      this.elements.dataStatus.textContent = translate('status.offline', {
+        time: formatDateTime(result.savedAt)
+      });
+      this.elements.dataStatus.className = 'status-pill fallback';
+      this.setScenarioMode(false);
+    } else if (result.ok) {
+      this.elements.dataStatus.textContent = translate('status.live');
       this.elements.dataStatus.className = 'status-pill live';
       this.setScenarioMode(false);
     } else {
-      this.elements.dataStatus.textContent = 'Fallback mode';
+      this.elements.dataStatus.textContent = translate('status.fallback');
       this.elements.dataStatus.className = 'status-pill fallback';
       this.setScenarioMode(false);
     }
@@ -211,12 +769,16 @@ export class DashboardUI {
 
   updateSimulationSource(result) {
     if (!this.elements.simulationSource) return;
-    this.elements.simulationSource.textContent = `Simulation source: ${result.sourceLabel}`;
+    this.elements.simulationSource.textContent = translate('trend.simulationSource', {
+      source: result.sourceLabel
+    });
   }
 
   updateScenarioStatus(label) {
     if (this.elements.scenarioStatus) {
-      this.elements.scenarioStatus.textContent = `Scenario: ${label}`;
+      this.elements.scenarioStatus.textContent = translate('scenario.status', {
+        name: label ?? message('scenario.liveBaseline')
+      });
     }
   }
 
@@ -224,70 +786,431 @@ export class DashboardUI {
     this.elements.healthIndex.textContent = formatNumber(state.healthIndex, 1);
     this.elements.dailyChange.textContent = formatNumber(state.dailyChange, 2);
     this.elements.sevenDayTrend.textContent = formatNumber(state.sevenDayTrend, 2);
-    this.elements.glacierState.textContent = state.state;
+    if (this.elements.thirtyDayTrend) {
+      this.elements.thirtyDayTrend.textContent = formatNumber(state.thirtyDayTrend, 2);
+    }
+    if (this.elements.annualBalance) {
+      this.elements.annualBalance.textContent =
+        state.annualBalance === null ? '--' : formatNumber(state.annualBalance, 1);
+    }
+    if (this.elements.equilibriumLine) {
+      this.elements.equilibriumLine.textContent = formatQuantity(
+        state.equilibriumLineAltitude,
+        'elevation',
+        this.unitSystem
+      );
+    }
+    this.elements.glacierState.textContent = translate(`state.${state.state.toLowerCase()}`);
     this.elements.glacierState.className = `badge ${state.state.toLowerCase()}`;
   }
 
-  updateDiagnostics({ alerts, confidence, projection, sourceLabel }) {
+  updateDiagnostics({ alerts, confidence, projection, sourceLabel, strategyName }) {
     if (this.elements.alerts) {
       this.elements.alerts.innerHTML = '';
       alerts.forEach((alert) => {
         const badge = document.createElement('span');
         badge.className = `alert-badge ${alert.level}`;
-        badge.textContent = alert.label;
-        badge.title = alert.detail;
+        badge.textContent = translateMessage(alert.label);
+        badge.title = translateMessage(alert.detail);
         this.elements.alerts.appendChild(badge);
       });
     }
 
     if (this.elements.confidenceBadge) {
-      this.elements.confidenceBadge.textContent = confidence.level;
+      this.elements.confidenceBadge.textContent = translate(
+        `confidence.levels.${confidence.level.toLowerCase()}`
+      );
       this.elements.confidenceBadge.className = `confidence-badge ${confidence.level.toLowerCase()}`;
     }
 
     if (this.elements.confidenceWhy) {
-      this.elements.confidenceWhy.textContent = confidence.reasons.join(' • ');
+      this.elements.confidenceWhy.textContent = confidence.reasons.map(translateMessage).join(' • ');
+    }
+
+    if (this.elements.strategyName && strategyName) {
+      this.elements.strategyName.textContent = translate('prediction.strategyName', {
+        name: strategyName
+      });
     }
 
     if (this.elements.timeToLossValue) {
-      this.elements.timeToLossValue.textContent = projection.message;
+      this.elements.timeToLossValue.textContent = translateMessage(projection.message);
     }
 
     if (this.elements.timeToLossMeta) {
+      const basis =
+        projection.distribution?.members > 1
+          ? translate('timeToLoss.basisEnsemble', { count: projection.distribution.members })
+          : translate('timeToLoss.basis');
       this.elements.timeToLossMeta.textContent =
-        projection.status === 'declining'
-          ? 'Based on 7-day rolling trend.'
-          : 'No collapse projected under current conditions.';
+        projection.status === 'declining' ? basis : translate('timeToLoss.noCollapse');
     }
 
     if (this.elements.timeToLossSource) {
-      this.elements.timeToLossSource.textContent = `Source: ${sourceLabel}`;
+      this.elements.timeToLossSource.textContent = translate('timeToLoss.source', {
+        source: sourceLabel
+      });
     }
   }
 
-  updateCharts(history) {
+  updateCharts(history, ensemble = null) {
+    this.hideComparison();
     const windowDays = this.chartWindowDays || 30;
-    const sliced = history.slice(-windowDays);
+    const resolution = chooseResolution(windowDays);
+    const sliced = aggregateHistory(history.slice(-windowDays), resolution);
+    const labelFormat =
+      resolution === 'monthly' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
     const labels = sliced.map((entry) =>
-      entry.date instanceof Date
-        ? entry.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
-        : '--'
+      entry.date instanceof Date ? formatDate(entry.date, labelFormat) : '--'
     );
     const healthData = sliced.map((entry) => entry.healthIndex);
-    const massData = sliced.map((entry) => entry.dailyChange);
+    const massData = sliced.map((entry) =>
+      resolution === 'daily' ? entry.dailyChange : entry.massChange
+    );
+    const ensembleDays = new Map(
+      (ensemble?.days || []).map((day) => [day.dateKey, day])
+    );
+    const ensembleFor = (entry) => ensembleDays.get(toDateKey(entry.endDate ?? entry.date));
+    const hasEnsemble = ensembleDays.size > 0;
 
     this.healthChart.data.labels = labels;
     this.healthChart.data.datasets[0].data = healthData;
+    this.healthChart.data.datasets[0].pointRadius = sliced.length > 60 ? 0 : 3;
+    this.healthChart.data.datasets[1].data = sliced.map(
+      (entry) => ensembleFor(entry)?.health.p90 ?? null
+    );
+    this.healthChart.data.datasets[2].data = sliced.map(
+      (entry) => ensembleFor(entry)?.health.p10 ?? null
+    );
+    this.healthChart.data.datasets[3].data = sliced.map(
+      (entry) => ensembleFor(entry)?.health.p50 ?? null
+    );
+    this.healthChart.options.plugins.legend.display = hasEnsemble;
     this.healthChart.update();
 
     this.massChart.data.labels = labels;
     this.massChart.data.datasets[0].data = massData;
+    this.massChart.data.datasets[1].data = sliced.map((entry) => {
+      const day = resolution === 'daily' ? ensembleFor(entry) : null;
+      return day ? [day.change.p10, day.change.p90] : null;
+    });
+    this.massChart.options.plugins.legend.display = hasEnsemble;
     this.massChart.update();
+
+    const windowLabel =
+      resolution === 'daily'
+        ? translateMessage(describeWindow(windowDays))
+        : translate('chart.window.resolution', {
+            window: describeWindow(windowDays),
+            resolution: message(`chart.window.${resolution}`)
+          });
+    if (this.elements.chartWindowHealth) {
+      this.elements.chartWindowHealth.textContent = windowLabel;
+    }
+    if (this.elements.chartWindowMass) {
+      this.elements.chartWindowMass.textContent = windowLabel;
+    }
+    this.chartResolution = resolution;
+    if (this.elements.chartMassTitle) {
+      this.elements.chartMassTitle.textContent = translate(`chart.massTitle.${resolution}`);
+    }
   }
 
-  updateDailySummary(text) {
+  showComparison(runs, windowDays) {
+    const dateKeys = [
+      ...new Set(runs.flatMap((run) => run.history.map((entry) => toDateKey(entry.date))))
+    ]
+      .filter(Boolean)
+      .sort()
+      .slice(-windowDays);
+    const labels = dateKeys.map((key) =>
+      formatDate(new Date(`${key}T00:00:00Z`), {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+      })
+    );
+    const valuesFor = (run, field) => {
+      const byDate = new Map(run.history.map((entry) => [toDateKey(entry.date), entry[field]]));
+      return dateKeys.map((key) => byDate.get(key) ?? null);
+    };
+
+    this.comparisonActive = true;
+    this.healthChart.data.labels = labels;
+    this.healthChart.data.datasets = runs.map((run, index) => ({
+      label: translateMessage(run.label),
+      data: valuesFor(run, 'healthIndex'),
+      borderColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+      backgroundColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+      tension: 0.35,
+      fill: false,
+      pointRadius: 2
+    }));
+    this.healthChart.options.plugins.legend.display = true;
+    this.healthChart.update();
+
+    this.massChart.data.labels = labels;
+    this.massChart.data.datasets = runs.map((run, index) => ({
+      label: translateMessage(run.label),
+      data: valuesFor(run, 'dailyChange'),
+      backgroundColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length]
+    }));
+    this.massChart.options.plugins.legend.display = true;
+    this.massChart.update();
+    this.setChartWindow(dateKeys.length);
+
+    if (this.elements.comparisonRows) {
+      this.elements.comparisonRows.innerHTML = '';
+      runs.forEach((run, index) => {
+        const row = document.createElement('tr');
+        const cells = [
+          translateMessage(run.label),
+          formatNumber(run.state.healthIndex, 1),
+          translate(`state.${run.state.state.toLowerCase()}`),
+          run.alerts.map((alert) => translateMessage(alert.label)).join(', ') ||
+            translate('comparison.none'),
+          translateMessage(run.projection.message)
+        ];
+        cells.forEach((value, cellIndex) => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          if (cellIndex === 0) {
+            cell.style.borderLeft = `4px solid ${COMPARISON_COLORS[index % COMPARISON_COLORS.length]}`;
+          }
+          row.appendChild(cell);
+        });
+        this.elements.comparisonRows.appendChild(row);
+      });
+    }
+    this.elements.comparisonCard?.classList.remove('hidden');
+  }
+
+  hideComparison() {
+    if (!this.comparisonActive) return;
+    this.comparisonActive = false;
+    this.healthChart.data.datasets = this.defaultHealthDatasets;
+    this.massChart.data.datasets = this.defaultMassDatasets;
+    this.elements.comparisonCard?.classList.add('hidden');
+    this.updateComparisonStatus('');
+  }
+
+  getComparisonSelection() {
+    const selection = { presetIds: [], includeForecast: false };
+    this.elements.comparisonOptions
+      ?.querySelectorAll('input[type="checkbox"]:checked')
+      .forEach((input) => {
+        if (input.value === 'forecast') {
+          selection.includeForecast = true;
+        } else {
+          selection.presetIds.push(input.value);
+        }
+      });
+    return selection;
+  }
+
+  updateComparisonStatus(text) {
+    if (this.elements.comparisonStatus) {
+      this.elements.comparisonStatus.textContent = translateMessage(text);
+    }
+  }
+
+  getEnsembleSettings() {
+    const members = Number(this.elements.ensembleMembers?.value || 50);
+    return {
+      enabled: Boolean(this.elements.ensembleEnabled?.checked),
+      members: Number.isFinite(members) ? Math.max(5, Math.min(500, members)) : 50,
+      perturbParams: Boolean(this.elements.ensembleParams?.checked)
+    };
+  }
+
+  updateEnsembleProgress(progress) {
+    if (!this.elements.ensembleProgress) return;
+    this.elements.ensembleProgress.hidden = !progress;
+    this.elements.ensembleProgress.textContent = progress
+      ? translate('trend.ensembleProgress', progress)
+      : '';
+  }
+
+  setEnsembleSettings({ enabled, members, perturbParams }) {
+    if (this.elements.ensembleEnabled) {
+      this.elements.ensembleEnabled.checked = Boolean(enabled);
+    }
+    if (this.elements.ensembleMembers && Number.isFinite(members)) {
+      this.elements.ensembleMembers.value = String(members);
+    }
+    if (this.elements.ensembleParams && perturbParams !== undefined) {
+      this.elements.ensembleParams.checked = Boolean(perturbParams);
+    }
+  }
+
+  updateCalibration({ params, profile, error }) {
+    if (this.elements.paramAccumulation) {
+      this.elements.paramAccumulation.textContent = formatNumber(params.accumulationRate, 3);
+    }
+    if (this.elements.paramMelt) {
+      this.elements.paramMelt.textContent = formatNumber(params.meltRate, 3);
+    }
+    if (this.elements.paramSublimation) {
+      this.elements.paramSublimation.textContent = formatNumber(params.sublimationRate, 4);
+    }
+    if (!this.elements.calibrationStats) return;
+    if (error) {
+      this.elements.calibrationStats.textContent = translate('calibration.failed', {
+        error: errorMessage(error)
+      });
+      return;
+    }
+    if (!profile) {
+      this.elements.calibrationStats.textContent = translate('calibration.defaults');
+      return;
+    }
+    const { stats } = profile;
+    if (!stats) {
+      this.elements.calibrationStats.textContent = translate('calibration.from', {
+        source: profile.source
+      });
+      return;
+    }
+    const correlation = stats.correlation === null ? '--' : formatNumber(stats.correlation, 2);
+    this.elements.calibrationStats.textContent = translate('calibration.fitted', {
+      source: profile.source,
+      n: stats.n,
+      rmse: formatNumber(stats.rmse, 3),
+      bias: formatNumber(stats.bias, 3),
+      r: correlation
+    });
+  }
+
+  showStationMapping(fields, headers, mapping, name) {
+    if (!this.elements.stationFields) return;
+    if (this.elements.stationName) {
+      this.elements.stationName.value = name;
+    }
+    this.elements.stationFields.innerHTML = '';
+    fields.forEach((field) => {
+      const label = document.createElement('label');
+      label.className = 'editor-field';
+      const text = document.createElement('span');
+      const fieldLabel = optionalText(`station.fields.${field.key}`, field.label);
+      text.textContent = field.required
+        ? fieldLabel
+        : translate('station.optional', { field: fieldLabel });
+      const controls = document.createElement('span');
+
+      const column = document.createElement('select');
+      column.className = 'inline-select';
+      column.dataset.column = field.key;
+      const options = field.required ? headers : ['', ...headers];
+      options.forEach((header) => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header || translate('station.notProvided');
+        column.appendChild(option);
+      });
+      column.value = mapping.columns[field.key] ?? '';
+      controls.appendChild(column);
+
+      if (field.units) {
+        const unit = document.createElement('select');
+        unit.className = 'inline-select';
+        unit.dataset.unit = field.key;
+        Object.keys(field.units).forEach((name) => {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          unit.appendChild(option);
+        });
+        unit.value = mapping.units[field.key];
+        controls.appendChild(unit);
+      }
+
+      label.append(text, controls);
+      this.elements.stationFields.appendChild(label);
+    });
+    this.elements.stationMapping?.classList.remove('hidden');
+  }
+
+  hideStationMapping() {
+    this.elements.stationMapping?.classList.add('hidden');
+    if (this.elements.stationIssues) {
+      this.elements.stationIssues.innerHTML = '';
+    }
+  }
+
+  getStationMapping() {
+    const mapping = { columns: {}, units: {} };
+    this.elements.stationFields?.querySelectorAll('[data-column]').forEach((select) => {
+      mapping.columns[select.dataset.column] = select.value || null;
+    });
+    this.elements.stationFields?.querySelectorAll('[data-unit]').forEach((select) => {
+      mapping.units[select.dataset.unit] = select.value;
+    });
+    return mapping;
+  }
+
+  updateStationPreview({ days, notes, error }) {
+    if (!this.elements.stationIssues) return;
+    const items = error
+      ? [message('station.cannotImport', { error: errorMessage(error) })]
+      : [message('station.usableDays', { count: days }), ...notes];
+    renderParagraphs(this.elements.stationIssues, items, 'li');
+    if (this.elements.stationImport) {
+      this.elements.stationImport.disabled = Boolean(error) || days === 0;
+    }
+  }
+
+  updateStationStatus(dataset, status) {
+    if (this.elements.stationStatus) {
+      if (status) {
+        this.elements.stationStatus.textContent = translateMessage(status);
+      } else if (dataset) {
+        this.elements.stationStatus.textContent = translate('station.active', {
+          name: dataset.name,
+          count: dataset.series.length,
+          first: dataset.series[0].date.toISOString().slice(0, 10),
+          last: dataset.series[dataset.series.length - 1].date.toISOString().slice(0, 10)
+        });
+      } else {
+        this.elements.stationStatus.textContent = translate('station.usingProvider');
+      }
+    }
+    if (this.elements.stationRemove) {
+      this.elements.stationRemove.disabled = !dataset;
+    }
+  }
+
+  onStationFile(callback) {
+    this.onStationFileCallback = callback;
+  }
+
+  onStationMappingChange(callback) {
+    this.onStationMappingChangeCallback = callback;
+  }
+
+  onStationImport(callback) {
+    this.onStationImportCallback = callback;
+  }
+
+  onStationRemove(callback) {
+    this.onStationRemoveCallback = callback;
+  }
+
+  updateBandChart(profile) {
+    this.bandProfile = profile;
+    const unit = unitLabel('elevation', this.unitSystem);
+    this.bandChart.data.labels = profile.map((band) => {
+      const min = convertValue(band.minElevation, 'elevation', this.unitSystem);
+      const max = convertValue(band.maxElevation, 'elevation', this.unitSystem);
+      return `${formatNumber(min, 0)}–${formatNumber(max, 0)} ${unit}`;
+    });
+    this.bandChart.options.scales.y.title.text = translate('chart.elevationAxis', { unit });
+    this.bandChart.data.datasets[0].data = profile.map((band) => band.balance);
+    this.bandChart.update();
+  }
+
+  updateDailySummary(messages) {
     if (this.elements.summary) {
-      this.elements.summary.textContent = text;
+      this.elements.summary.textContent = messages.map(translateMessage).join(' ');
     }
   }
 
@@ -295,6 +1218,107 @@ export class DashboardUI {
     this.onRefreshCallback = callback;
   }
 
+  onUnitSystemChange(callback) {
+    this.onUnitSystemChangeCallback = callback;
+  }
+
+  setUnitOptions(systems) {
+    this.unitSystems = systems;
+    if (!this.elements.unitSystemSelect) return;
+    this.elements.unitSystemSelect.innerHTML = systems
+      .map(
+        (system) =>
+          `<option value="${system.id}">${optionalText(`units.${system.id}`, system.name)}</option>`
+      )
+      .join('');
+    this.elements.unitSystemSelect.value = this.unitSystem;
+  }
+
+  setUnitSystem(system) {
+    const scenarioValues = this.getEditorScenario();
+    this.unitSystem = normalizeUnitSystem(system);
+    if (this.elements.unitSystemSelect) {
+      this.elements.unitSystemSelect.value = this.unitSystem;
+    }
+    this.elements.unitLabels.forEach((label) => {
+      label.textContent = unitLabel(label.dataset.unit, this.unitSystem);
+    });
+    if (this.lastCurrentResult) {
+      this.updateCurrentConditions(this.lastCurrentResult);
+    }
+    if (this.bandProfile) {
+      this.updateBandChart(this.bandProfile);
+    }
+    if (this.scenarioEditorFields) {
+      this.renderScenarioEditor(this.scenarioEditorFields, scenarioValues);
+    }
+  }
+
+  confirmLinkedModel({ strategyId, params }) {
+    const settings = [
+      strategyId ? translate(`strategies.${strategyId}`) : null,
+      ...Object.entries(PARAM_LABELS)
+        .filter(([name]) => Number.isFinite(params[name]))
+        .map(([name, key]) => `${translate(key)} ${formatNumber(params[name], 3)}`)
+    ].filter(Boolean);
+    return window.confirm(
+      translate('header.linkModelConfirm', {
+        settings: new Intl.ListFormat(intlLocale(), { type: 'unit' }).format(settings)
+      })
+    );
+  }
+
+  onLocaleChange(callback) {
+    this.onLocaleChangeCallback = callback;
+  }
+
+  setLocaleOptions(locales) {
+    if (!this.elements.localeSelect) return;
+    this.elements.localeSelect.innerHTML = locales
+      .map((locale) => `<option value="${locale.id}">${locale.name}</option>`)
+      .join('');
+    this.elements.localeSelect.value = getLocale();
+  }
+
+  applyLocale() {
+    const locale = getLocale();
+    document.documentElement.lang = locale;
+    document.title = translate('app.title');
+    if (this.elements.localeSelect) {
+      this.elements.localeSelect.value = locale;
+    }
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+      element.textContent = translate(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+      element.placeholder = translate(element.dataset.i18nPlaceholder);
+    });
+
+    [
+      [this.defaultHealthDatasets, CHART_DATASET_KEYS.health, this.healthChart],
+      [this.defaultMassDatasets, CHART_DATASET_KEYS.mass, this.massChart],
+      [this.bandChart.data.datasets, CHART_DATASET_KEYS.bands, this.bandChart]
+    ].forEach(([datasets, keys, chart]) => {
+      datasets.forEach((dataset, index) => {
+        dataset.label = translate(`chart.datasets.${keys[index]}`);
+      });
+      chart.update();
+    });
+
+    if (this.unitSystems) this.setUnitOptions(this.unitSystems);
+    if (this.strategies) this.setStrategyOptions(this.strategies);
+    if (this.glacierOptions) this.setGlacierOptions(this.glacierOptions);
+    if (this.scenarioPresets) {
+      this.setScenarioPresets(this.scenarioPresets);
+      this.setScenario(this.currentScenario);
+    }
+    if (this.scenarioEditorFields) this.renderScenarioEditor(this.scenarioEditorFields);
+    if (this.alertRules) this.renderAlertRules(this.getAlertRuleEdits());
+    if (this.alertRuleStatus) this.updateAlertRuleStatus(this.alertRuleStatus);
+    if (this.storageStatus) this.updateStorageStatus(this.storageStatus);
+    this.setFleetMode(Boolean(this.fleetMode));
+  }
+
   onSimulate(callback) {
     this.onSimulateCallback = callback;
   }
@@ -307,14 +1331,653 @@ export class DashboardUI {
     this.onScenarioSelectCallback = callback;
   }
 
+  onScenarioSave(callback) {
+    this.onScenarioSaveCallback = callback;
+  }
+
+  onScenarioRun(callback) {
+    this.onScenarioRunCallback = callback;
+  }
+
+  onScenarioDelete(callback) {
+    this.onScenarioDeleteCallback = callback;
+  }
+
+  setScenarioPresets(presets) {
+    this.scenarioPresets = presets;
+    if (this.elements.scenarioPresets) {
+      this.elements.scenarioPresets.innerHTML = '';
+      presets.forEach((preset) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary scenario-btn';
+        button.dataset.presetId = preset.id;
+        button.textContent = presetName(preset);
+        button.title = translate('scenario.runLength', { count: preset.days });
+        this.elements.scenarioPresets.appendChild(button);
+      });
+    }
+
+    if (this.elements.comparisonOptions) {
+      const selected = this.getComparisonSelection();
+      this.elements.comparisonOptions.innerHTML = '';
+      [{ id: 'forecast', name: translate('comparison.forecast') }, ...presets].forEach((preset) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = preset.id;
+        input.checked =
+          preset.id === 'forecast'
+            ? selected.includeForecast
+            : selected.presetIds.includes(preset.id);
+        label.append(input, ` ${presetName(preset)}`);
+        this.elements.comparisonOptions.appendChild(label);
+      });
+    }
+  }
+
+  renderScenarioEditor(fields, values = this.getEditorScenario()) {
+    this.scenarioEditorFields = fields;
+    if (!this.elements.scenarioFields) return;
+    this.scenarioFieldKeys = fields.map((field) => field.key);
+    this.elements.scenarioFields.innerHTML = '';
+    fields.forEach((field) => {
+      const label = document.createElement('label');
+      label.className = 'editor-field';
+      const text = document.createElement('span');
+      const labelKey = `scenario.fields.${field.key}`;
+      text.textContent = hasMessage(labelKey)
+        ? translate(labelKey, {
+            unit: field.quantity ? unitLabel(field.quantity, this.unitSystem) : ''
+          })
+        : field.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'inline-input';
+      input.dataset.field = field.key;
+      const converted = field.quantity && this.unitSystem !== DEFAULT_UNIT_SYSTEM;
+      input.min = editorNumber(scenarioDisplayValue(field, field.min, this.unitSystem));
+      input.max = editorNumber(scenarioDisplayValue(field, field.max, this.unitSystem));
+      input.step = converted ? 'any' : String(field.step);
+      this.setEditorValue(input, values[field.key]);
+      label.append(text, input);
+      this.elements.scenarioFields.appendChild(label);
+    });
+  }
+
+  loadScenarioIntoEditor(preset) {
+    this.editorPresetId = preset.id;
+    if (this.elements.scenarioName) {
+      this.elements.scenarioName.value = preset.name;
+    }
+    this.elements.scenarioFields?.querySelectorAll('[data-field]').forEach((input) => {
+      this.setEditorValue(input, preset[input.dataset.field]);
+    });
+    if (this.elements.scenarioDelete) {
+      this.elements.scenarioDelete.disabled = Boolean(preset.builtIn);
+    }
+  }
+
+  scenarioField(key) {
+    return this.scenarioEditorFields?.find((field) => field.key === key) || { key };
+  }
+
+  setEditorValue(input, value) {
+    if (!Number.isFinite(value)) return;
+    const field = this.scenarioField(input.dataset.field);
+    input.value = editorNumber(scenarioDisplayValue(field, value, this.unitSystem));
+    input.dataset.metric = String(value);
+    input.dataset.display = input.value;
+  }
+
+  getEditorScenario() {
+    const values = { name: this.elements.scenarioName?.value || '' };
+    this.elements.scenarioFields?.querySelectorAll('[data-field]').forEach((input) => {
+      const field = this.scenarioField(input.dataset.field);
+      values[input.dataset.field] =
+        input.value === input.dataset.display
+          ? Number(input.dataset.metric)
+          : scenarioMetricValue(field, Number(input.value), this.unitSystem);
+    });
+    return values;
+  }
+
+  updateScenarioEditorStatus(text) {
+    if (this.elements.scenarioEditorStatus) {
+      this.elements.scenarioEditorStatus.textContent = translateMessage(text);
+    }
+  }
+
+  onLongRun(callback) {
+    this.onLongRunCallback = callback;
+  }
+
+  onCompare(callback) {
+    this.onCompareCallback = callback;
+  }
+
+  onCompareExit(callback) {
+    this.onCompareExitCallback = callback;
+  }
+
   onGlacierChange(callback) {
     this.onGlacierChangeCallback = callback;
   }
 
+  onClearSaved(callback) {
+    this.onClearSavedCallback = callback;
+  }
+
+  onStrategyChange(callback) {
+    this.onStrategyChangeCallback = callback;
+  }
+
+  onCalibrate(callback) {
+    this.onCalibrateCallback = callback;
+  }
+
+  onResetCalibration(callback) {
+    this.onResetCalibrationCallback = callback;
+  }
+
+  onAlertRulesEdit(callback) {
+    this.onAlertRulesEditCallback = callback;
+  }
+
+  onAlertRulesSave(callback) {
+    this.onAlertRulesSaveCallback = callback;
+  }
+
+  onAlertRulesReset(callback) {
+    this.onAlertRulesResetCallback = callback;
+  }
+
+  renderAlertRules(rules) {
+    this.alertRules = rules;
+    if (!this.elements.alertRuleRows) return;
+    const select = (field, value, options, labelFor) => {
+      const element = document.createElement('select');
+      element.className = 'inline-select';
+      element.dataset.field = field;
+      element.innerHTML = options
+        .map((option) => `<option value="${option}">${labelFor(option)}</option>`)
+        .join('');
+      element.value = value;
+      return element;
+    };
+    const numberInput = (field, value, { min, max, step }) => {
+      const element = document.createElement('input');
+      element.type = 'number';
+      element.className = 'inline-input';
+      element.dataset.field = field;
+      if (min !== undefined) element.min = String(min);
+      if (max !== undefined) element.max = String(max);
+      element.step = String(step);
+      element.value = String(value);
+      return element;
+    };
+
+    this.elements.alertRuleRows.innerHTML = '';
+    rules.forEach((rule) => {
+      const row = document.createElement('tr');
+      row.dataset.ruleId = rule.id;
+      const label = document.createElement('label');
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.dataset.field = 'enabled';
+      enabled.checked = rule.enabled !== false;
+      enabled.title = translate('alertRules.enabled');
+      label.append(enabled, translateMessage(describeRuleLabel(rule)));
+      [
+        label,
+        select('metric', rule.metric, ALERT_METRICS, (metric) => translateMessage(describeMetric(metric))),
+        select('comparator', rule.comparator, ALERT_COMPARATORS, (comparator) => comparator),
+        numberInput('threshold', rule.threshold, { step: 'any' }),
+        numberInput('duration', rule.duration, { min: 1, max: 365, step: 1 }),
+        numberInput('hysteresis', rule.hysteresis, { min: 0, max: 100, step: 'any' }),
+        select('severity', rule.severity, ALERT_SEVERITIES, (severity) =>
+          translate(`alertRules.severities.${severity}`)
+        )
+      ].forEach((control) => {
+        const cell = document.createElement('td');
+        cell.appendChild(control);
+        row.appendChild(cell);
+      });
+      this.elements.alertRuleRows.appendChild(row);
+    });
+  }
+
+  getAlertRuleEdits() {
+    return (this.alertRules || []).map((rule) => {
+      const row = this.elements.alertRuleRows?.querySelector(`[data-rule-id="${rule.id}"]`);
+      if (!row) return rule;
+      const edited = { ...rule };
+      row.querySelectorAll('[data-field]').forEach((control) => {
+        const { field } = control.dataset;
+        if (control.type === 'checkbox') {
+          edited[field] = control.checked;
+        } else if (control.type === 'number') {
+          const value = Number(control.value);
+          if (control.value !== '' && Number.isFinite(value)) edited[field] = value;
+        } else {
+          edited[field] = control.value;
+        }
+      });
+      return edited;
+    });
+  }
+
+  updateAlertLog(events) {
+    const active = events.filter((event) => !event.cleared).length;
+    if (this.elements.alertLogStatus) {
+      this.elements.alertLogStatus.textContent = events.length
+        ? translate('alertLog.summary', { count: events.length, active })
+        : translate('alertLog.empty');
+    }
+
+    const spans = events
+      .filter((event) => isValidDate(event.firstSeen))
+      .map((event) => ({
+        event,
+        start: event.firstSeen.getTime(),
+        end: isValidDate(event.cleared)
+          ? event.cleared.getTime()
+          : (isValidDate(event.lastSeen) ? event.lastSeen : event.firstSeen).getTime() + DAY_MS
+      }));
+
+    if (this.elements.alertTimeline) {
+      this.elements.alertTimeline.innerHTML = '';
+      if (spans.length) {
+        const start = Math.min(...spans.map((span) => span.start));
+        const range = Math.max(...spans.map((span) => span.end)) - start || DAY_MS;
+        const rows = new Map();
+        spans.forEach((span) => {
+          if (!rows.has(span.event.id)) rows.set(span.event.id, []);
+          rows.get(span.event.id).push(span);
+        });
+        rows.forEach((items) => {
+          const row = document.createElement('div');
+          row.className = 'alert-timeline-row';
+          const label = document.createElement('span');
+          label.textContent = translateMessage(items[items.length - 1].event.label);
+          const track = document.createElement('div');
+          track.className = 'alert-timeline-track';
+          items.forEach(({ event, start: from, end }) => {
+            const segment = document.createElement('span');
+            segment.className = `alert-segment ${event.level}${event.cleared ? '' : ' open'}${
+              event.supersededBy ? ' superseded' : ''
+            }`;
+            segment.style.left = `${((from - start) / range) * 100}%`;
+            segment.style.width = `${((end - from) / range) * 100}%`;
+            segment.title = translate('alertLog.segment', {
+              label: event.label,
+              first: formatLogDate(event.firstSeen),
+              last: event.cleared ? formatLogDate(event.cleared) : translate('alertLog.active'),
+              source: event.sourceLabel || '--'
+            });
+            if (event.supersededBy) segment.title += `\n${describeLogEnd(event)}`;
+            track.appendChild(segment);
+          });
+          row.append(label, track);
+          this.elements.alertTimeline.appendChild(row);
+        });
+        const axis = document.createElement('div');
+        axis.className = 'alert-timeline-axis';
+        [start, start + range - DAY_MS].forEach((time) => {
+          const tick = document.createElement('span');
+          tick.textContent = formatLogDate(new Date(time));
+          axis.appendChild(tick);
+        });
+        this.elements.alertTimeline.appendChild(axis);
+      }
+    }
+
+    if (this.elements.alertLogRows) {
+      this.elements.alertLogRows.innerHTML = '';
+      [...events]
+        .reverse()
+        .slice(0, 20)
+        .forEach((event) => {
+          const row = document.createElement('tr');
+          [
+            translateMessage(event.label),
+            formatLogDate(event.firstSeen),
+            formatLogDate(event.lastSeen),
+            describeLogEnd(event),
+            event.sourceLabel || '--'
+          ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+          });
+          this.elements.alertLogRows.appendChild(row);
+        });
+    }
+  }
+
+  updateStorageStatus(text) {
+    this.storageStatus = text;
+    if (!this.elements.storageStatus) return;
+    this.elements.storageStatus.hidden = !text;
+    this.elements.storageStatus.textContent = text ? translateMessage(text) : '';
+  }
+
+  updateAlertRuleStatus(text) {
+    this.alertRuleStatus = text;
+    if (this.elements.alertRuleStatus) {
+      this.elements.alertRuleStatus.textContent = translateMessage(text);
+    }
+  }
+
+  updateAlertRulePreview(results) {
+    if (!this.elements.alertRulePreview) return;
+    const items = results.some((result) => result.value !== null)
+      ? results.map(({ rule, active, suppressed, disabled, value, since }) => {
+          const params = {
+            rule: describeRuleLabel(rule),
+            metric: describeMetric(rule.metric),
+            value: formatNumber(value, 2),
+            since
+          };
+          if (disabled) return translate('alertRules.preview.disabled', params);
+          if (suppressed) return translate('alertRules.preview.suppressed', params);
+          return translate(active ? 'alertRules.preview.firing' : 'alertRules.preview.clear', params);
+        })
+      : [translate('alertRules.preview.noData')];
+    this.elements.alertRulePreview.replaceChildren(
+      ...items.map((text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+      })
+    );
+  }
+
+  setFleetMode(enabled) {
+    this.fleetMode = enabled;
+    this.elements.fleetPanel?.classList.toggle('hidden', !enabled);
+    this.elements.dashboard?.classList.toggle('hidden', enabled);
+    if (this.elements.fleetButton) {
+      this.elements.fleetButton.textContent = translate(
+        enabled ? 'header.backToDashboard' : 'header.fleetOverview'
+      );
+      this.elements.fleetButton.classList.toggle('active', enabled);
+    }
+  }
+
+  updateFleetOverview(rows, { loading = false } = {}) {
+    this.fleetRows = rows;
+    if (this.elements.fleetStatus) {
+      this.elements.fleetStatus.textContent = translate(loading ? 'fleet.loading' : 'fleet.ready', {
+        count: rows.length
+      });
+    }
+    this.renderFleetRows();
+  }
+
+  renderFleetRows() {
+    if (!this.elements.fleetRows) return;
+    const { key, direction } = this.fleetSort;
+    const valueOf = FLEET_SORT_VALUES[key];
+    const sign = direction === 'asc' ? 1 : -1;
+    const sorted = [...this.fleetRows].sort((a, b) => {
+      const left = valueOf(a);
+      const right = valueOf(b);
+      if (left === right) return 0;
+      return left > right ? sign : -sign;
+    });
+
+    this.elements.fleetHead?.querySelectorAll('[data-sort-key]').forEach((header) => {
+      const active = header.dataset.sortKey === key;
+      header.classList.toggle('sorted', active);
+      header.dataset.direction = active ? direction : '';
+    });
+
+    this.elements.fleetRows.innerHTML = '';
+    sorted.forEach((entry) => {
+      const row = document.createElement('tr');
+      row.dataset.glacierId = entry.id;
+      row.title = translate('fleet.open', { name: entry.name });
+
+      const nameCell = document.createElement('td');
+      const name = document.createElement('strong');
+      name.textContent = entry.name;
+      const meta = document.createElement('span');
+      meta.className = 'fleet-meta';
+      meta.textContent = `${translateMessage(entry.region)} • ${
+        entry.isStale ? translate('fleet.stale', { source: entry.sourceLabel }) : entry.sourceLabel
+      }`;
+      nameCell.append(name, meta);
+
+      const sparkCell = document.createElement('td');
+      sparkCell.appendChild(createSparkline(entry.sparkline, entry.state));
+
+      const stateCell = document.createElement('td');
+      const stateBadge = document.createElement('span');
+      stateBadge.className = `badge ${entry.state.toLowerCase()}`;
+      stateBadge.textContent = translate(`state.${entry.state.toLowerCase()}`);
+      stateCell.appendChild(stateBadge);
+
+      const confidenceCell = document.createElement('td');
+      const confidenceBadge = document.createElement('span');
+      confidenceBadge.className = `confidence-badge ${entry.confidence.toLowerCase()}`;
+      confidenceBadge.textContent = translate(
+        `confidence.levels.${entry.confidence.toLowerCase()}`
+      );
+      confidenceCell.appendChild(confidenceBadge);
+
+      const alertCell = document.createElement('td');
+      if (entry.alerts.length) {
+        entry.alerts.forEach((alert) => {
+          const badge = document.createElement('span');
+          badge.className = `alert-badge ${alert.level}`;
+          badge.textContent = translateMessage(alert.label);
+          badge.title = translateMessage(alert.detail);
+          alertCell.appendChild(badge);
+        });
+      } else {
+        alertCell.textContent = translate('fleet.none');
+      }
+
+      const textCell = (value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        return cell;
+      };
+
+      row.append(
+        nameCell,
+        sparkCell,
+        textCell(formatNumber(entry.healthIndex, 1)),
+        textCell(formatNumber(entry.dailyChange, 2)),
+        textCell(formatNumber(entry.sevenDayTrend, 2)),
+        stateCell,
+        confidenceCell,
+        alertCell,
+        textCell(translateMessage(entry.timeToLoss))
+      );
+      this.elements.fleetRows.appendChild(row);
+    });
+  }
+
+  getChartImages() {
+    return {
+      'health-chart': this.healthChart.toBase64Image('image/png', 1),
+      'mass-chart': this.massChart.toBase64Image('image/png', 1),
+      'band-chart': this.bandChart.toBase64Image('image/png', 1)
+    };
+  }
+
+  onCopyLink(callback) {
+    this.onCopyLinkCallback = callback;
+  }
+
+  onClearNetworkCache(callback) {
+    this.onClearNetworkCacheCallback = callback;
+  }
+
+  updateNetworkDiagnostics({ endpoints, events, cacheSizes, inFlight }) {
+    if (this.elements.networkStatus) {
+      const cached = Object.entries(cacheSizes).map(([policy, size]) =>
+        message('network.cacheEntry', {
+          policy: optionalText(`network.policies.${policy}`, policy),
+          count: size
+        })
+      );
+      this.elements.networkStatus.textContent = endpoints.length
+        ? translate('network.status', { cached, inFlight })
+        : translate('network.none');
+    }
+
+    if (this.elements.networkRows) {
+      this.elements.networkRows.innerHTML = '';
+      endpoints.forEach((endpoint) => {
+        const row = document.createElement('tr');
+        const last = endpoint.lastError
+          ? endpoint.lastError
+          : endpoint.lastDurationMs !== null
+            ? translate('network.duration', { ms: formatNumber(endpoint.lastDurationMs, 0) })
+            : '--';
+        [
+          endpoint.label,
+          endpoint.requests,
+          endpoint.cacheHits,
+          endpoint.deduplicated,
+          endpoint.retries,
+          endpoint.errors,
+          last
+        ].forEach((value) => {
+          const cell = document.createElement('td');
+          cell.textContent = String(value);
+          row.appendChild(cell);
+        });
+        if (endpoint.errors > 0) row.classList.add('network-error');
+        this.elements.networkRows.appendChild(row);
+      });
+    }
+
+    if (this.elements.networkEvents) {
+      this.elements.networkEvents.innerHTML = '';
+      events
+        .filter((event) => event.type === 'retry' || event.type === 'error')
+        .slice(0, 6)
+        .forEach((event) => {
+          const item = document.createElement('li');
+          const time = formatDate(event.at, {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+          });
+          item.textContent =
+            event.type === 'retry'
+              ? translate('network.retrying', {
+                  time,
+                  message: event.message,
+                  seconds: formatNumber(event.delayMs / 1000, 1)
+                })
+              : translate('network.event', { time, message: event.message });
+          item.className = event.type;
+          this.elements.networkEvents.appendChild(item);
+        });
+    }
+  }
+
+  updateCopyLinkStatus(copied) {
+    const button = this.elements.copyLinkButton;
+    if (!button) return;
+    button.textContent = translate(copied ? 'header.linkCopied' : 'header.copyFailed');
+    clearTimeout(this.copyLinkTimer);
+    this.copyLinkTimer = setTimeout(() => {
+      button.textContent = translate('header.copyLink');
+    }, 2000);
+  }
+
+  onExport(callback) {
+    this.onExportCallback = callback;
+  }
+
+  onFleetShow(callback) {
+    this.onFleetShowCallback = callback;
+  }
+
+  onFleetRefresh(callback) {
+    this.onFleetRefreshCallback = callback;
+  }
+
+  onFleetOpen(callback) {
+    this.onFleetOpenCallback = callback;
+  }
+
+  setGlacierOptions(glaciers) {
+    this.glacierOptions = glaciers;
+    if (!this.elements.glacierSelect) return;
+    const current = this.elements.glacierSelect.value;
+    this.elements.glacierSelect.replaceChildren(
+      ...glaciers.map((glacier) => {
+        const option = document.createElement('option');
+        option.value = glacier.id;
+        option.textContent = glacier.custom
+          ? translate('header.customGlacier', { name: glacier.displayName })
+          : glacier.displayName;
+        return option;
+      })
+    );
+    if (glaciers.some((glacier) => glacier.id === current)) {
+      this.elements.glacierSelect.value = current;
+    }
+  }
+
+  setProviderOptions(providers) {
+    if (!this.elements.addGlacierProvider) return;
+    this.elements.addGlacierProvider.innerHTML = providers
+      .map((provider) => `<option value="${provider.id}">${provider.name}</option>`)
+      .join('');
+  }
+
+  openAddGlacierDialog() {
+    this.elements.addGlacierForm?.reset();
+    this.updateAddGlacierStatus('');
+    this.elements.addGlacierPanel?.classList.remove('hidden');
+  }
+
+  closeAddGlacierDialog() {
+    this.elements.addGlacierPanel?.classList.add('hidden');
+  }
+
+  updateAddGlacierStatus(status) {
+    if (this.elements.addGlacierStatus) {
+      this.elements.addGlacierStatus.textContent = translateMessage(status);
+    }
+  }
+
+  onAddGlacier(callback) {
+    this.onAddGlacierCallback = callback;
+  }
+
+  setStrategyOptions(strategies) {
+    this.strategies = strategies;
+    if (!this.elements.strategySelect) return;
+    const selected = this.elements.strategySelect.value;
+    this.elements.strategySelect.innerHTML = strategies
+      .map(
+        (strategy) =>
+          `<option value="${strategy.id}">${optionalText(`strategies.${strategy.id}`, strategy.name)}</option>`
+      )
+      .join('');
+    if (selected) {
+      this.elements.strategySelect.value = selected;
+    }
+  }
+
+  setStrategy(strategyId) {
+    if (this.elements.strategySelect) {
+      this.elements.strategySelect.value = strategyId;
+    }
+  }
+
   setScenario(value) {
     this.currentScenario = value;
-    this.elements.scenarioButtons?.forEach((button) => {
-      const isActive = button.dataset.scenario === value;
+    this.elements.scenarioPresets?.querySelectorAll('[data-preset-id]').forEach((button) => {
+      const isActive = button.dataset.presetId === value;
       button.classList.toggle('active', isActive);
     });
   }
@@ -332,18 +1995,25 @@ export class DashboardUI {
 
   updateGlacierHeader(glacier) {
     if (this.elements.glacierSubtitle) {
-      this.elements.glacierSubtitle.textContent = `${glacier.displayName} operations and diagnostics.`;
+      this.elements.glacierSubtitle.textContent = translate('header.subtitleNamed', {
+        name: glacier.displayName
+      });
     }
     if (this.elements.glacierCoordinates) {
-      this.elements.glacierCoordinates.textContent = `${glacier.region} • ${glacier.latitude.toFixed(
-        3
-      )}N, ${Math.abs(glacier.longitude).toFixed(3)}W`;
+      const region = translateMessage(glacier.region);
+      this.elements.glacierCoordinates.textContent = `${region} • ${formatCoordinate(
+        glacier.latitude,
+        'N',
+        'S'
+      )}, ${formatCoordinate(glacier.longitude, 'E', 'W')}`;
     }
     if (this.elements.glacierSelect) {
       this.elements.glacierSelect.value = glacier.id;
     }
     if (this.elements.glacierInfoButton) {
-      this.elements.glacierInfoButton.textContent = `${glacier.displayName} Info`;
+      this.elements.glacierInfoButton.textContent = translate('header.glacierInfoNamed', {
+        name: glacier.displayName
+      });
     }
   }
 
@@ -352,37 +2022,33 @@ export class DashboardUI {
       this.elements.infoTitle.textContent = glacier.displayName;
     }
     if (this.elements.infoSubtitle) {
-      this.elements.infoSubtitle.textContent = glacier.info.subtitle;
+      this.elements.infoSubtitle.textContent = translateMessage(glacier.info.subtitle);
     }
     if (this.elements.infoOrigin) {
-      this.elements.infoOrigin.innerHTML = glacier.info.origin
-        .map((paragraph) => `<p>${paragraph}</p>`)
-        .join('');
+      renderParagraphs(this.elements.infoOrigin, glacier.info.origin, 'p');
     }
     if (this.elements.infoTimeline) {
-      this.elements.infoTimeline.innerHTML = glacier.info.timeline
-        .map((item) => `<li>${item}</li>`)
-        .join('');
+      renderParagraphs(this.elements.infoTimeline, glacier.info.timeline, 'li');
     }
     if (this.elements.infoFacts) {
-      this.elements.infoFacts.innerHTML = glacier.info.facts
-        .map((item) => `<li>${item}</li>`)
-        .join('');
+      renderParagraphs(this.elements.infoFacts, glacier.info.facts, 'li');
     }
     if (this.elements.infoMatters) {
-      this.elements.infoMatters.innerHTML = glacier.info.matters
-        .map((paragraph) => `<p>${paragraph}</p>`)
-        .join('');
+      renderParagraphs(this.elements.infoMatters, glacier.info.matters, 'p');
     }
   }
 
   setChartWindow(days) {
     this.chartWindowDays = days;
+    const label = translateMessage(describeWindow(days));
     if (this.elements.chartWindowHealth) {
-      this.elements.chartWindowHealth.textContent = String(days);
+      this.elements.chartWindowHealth.textContent = label;
     }
     if (this.elements.chartWindowMass) {
-      this.elements.chartWindowMass.textContent = String(days);
+      this.elements.chartWindowMass.textContent = label;
+    }
+    if (this.elements.chartWindowBands) {
+      this.elements.chartWindowBands.textContent = label;
     }
   }
 }
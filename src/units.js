@@ -0,0 +1,104 @@
+import { formatNumber } from './i18n.js';
+
+export const UNIT_SYSTEMS = [
+  { id: 'metric', name: 'Metric (°C, km/h, mm)' },
+  { id: 'imperial', name: 'Imperial (°F, mph, in)' }
+];
+
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+const identity = (value) => value;
+
+const QUANTITIES = {
+  temperature: {
+    metric: { unit: '°C', digits: 1, convert: identity },
+    imperial: { unit: '°F', digits: 1, convert: (value) => (value * 9) / 5 + 32 }
+  },
+  speed: {
+    metric: { unit: 'km/h', digits: 1, convert: identity },
+    imperial: { unit: 'mph', digits: 1, convert: (value) => value / 1.609344 }
+  },
+  precipitation: {
+    metric: { unit: 'mm', digits: 2, convert: identity },
+    imperial: { unit: 'in', digits: 2, convert: (value) => value / 25.4 }
+  },
+  pressure: {
+    metric: { unit: 'hPa', digits: 0, convert: identity },
+    imperial: { unit: 'inHg', digits: 2, convert: (value) => value / 33.8639 }
+  },
+  elevation: {
+    metric: { unit: 'm', digits: 0, convert: identity },
+    imperial: { unit: 'ft', digits: 0, convert: (value) => value / 0.3048 }
+  },
+  distance: {
+    metric: { unit: 'km', digits: 0, convert: identity },
+    imperial: { unit: 'mi', digits: 0, convert: (value) => value / 1.609344 }
+  },
+  humidity: {
+    metric: { unit: '%', digits: 0, convert: identity },
+    imperial: { unit: '%', digits: 0, convert: identity }
+  },
+  radiation: {
+    metric: { unit: 'W/m²', digits: 0, convert: identity },
+    imperial: { unit: 'W/m²', digits: 0, convert: identity }
+  }
+};
+
+export const FIELD_QUANTITIES = {
+  temperature: 'temperature',
+  windSpeed: 'speed',
+  precipitation: 'precipitation',
+  humidity: 'humidity',
+  pressure: 'pressure',
+  shortwaveRadiation: 'radiation'
+};
+
+export function normalizeUnitSystem(system) {
+  return UNIT_SYSTEMS.some((entry) => entry.id === system) ? system : DEFAULT_UNIT_SYSTEM;
+}
+
+const quantityRule = (quantity, system) => QUANTITIES[quantity][normalizeUnitSystem(system)];
+
+export function convertValue(value, quantity, system) {
+  return Number.isFinite(value) ? quantityRule(quantity, system).convert(value) : null;
+}
+
+const unitScale = (rule) => rule.convert(1) - rule.convert(0);
+
+export function convertDelta(value, quantity, system) {
+  return Number.isFinite(value) ? value * unitScale(quantityRule(quantity, system)) : null;
+}
+
+export function toMetricValue(value, quantity, system) {
+  const rule = quantityRule(quantity, system);
+  return Number.isFinite(value) ? (value - rule.convert(0)) / unitScale(rule) : null;
+}
+
+export function toMetricDelta(value, quantity, system) {
+  return Number.isFinite(value) ? value / unitScale(quantityRule(quantity, system)) : null;
+}
+
+export function unitLabel(quantity, system) {
+  return quantityRule(quantity, system).unit;
+}
+
+export function formatQuantity(value, quantity, system, { digits, unit = true } = {}) {
+  const rule = quantityRule(quantity, system);
+  const converted = convertValue(value, quantity, system);
+  if (converted === null) return '--';
+  const text = formatNumber(converted, digits ?? rule.digits);
+  if (!unit) return text;
+  return rule.unit.startsWith('°') || rule.unit === '%' ? `${text}${rule.unit}` : `${text} ${rule.unit}`;
+}
+
+export function convertObservation(observation, system) {
+  return Object.entries(FIELD_QUANTITIES).reduce(
+    (acc, [field, quantity]) => {
+      if (field in acc) {
+        acc[field] = convertValue(acc[field], quantity, system);
+      }
+      return acc;
+    },
+    { ...observation }
+  );
+}
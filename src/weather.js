@@ -1,209 +1,119 @@
-function seededRandom(seed) {
-  let value = seed % 2147483647;
-  if (value <= 0) value += 2147483646;
-  return () => {
-    value = (value * 16807) % 2147483647;
-    return (value - 1) / 2147483646;
-  };
+import { seededRandom } from './random.js';
+import { normalizeScenario } from './scenarios.js';
+import {
+  clearRequestCache,
+  fetchOpenMeteoArchive,
+  fetchOpenMeteoRecent,
+  getBackupProvider,
+  getProvider
+} from './providers/index.js';
+
+const SIMULATION_SEED = {
+  temperature: 0,
+  windSpeed: 0,
+  precipitation: 0
+};
+
+const DAY_MS = 86400000;
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+function simulationSeed(data) {
+  return Object.keys(SIMULATION_SEED).reduce(
+    (acc, field) => {
+      acc[field] = Number.isFinite(data?.[field]) ? data[field] : SIMULATION_SEED[field];
+      return acc;
+    },
+    { date: data?.date || new Date() }
+  );
 }
 
 export class WeatherService {
-  constructor({ latitude, longitude, name, timezone, provider }) {
+  constructor({ latitude, longitude, elevation, stationBlend, name, timezone, provider }) {
     this.latitude = latitude;
     this.longitude = longitude;
+    this.elevation = Number.isFinite(elevation) ? elevation : null;
+    this.stationBlend = stationBlend || 1;
     this.name = name;
     this.timezone = timezone || 'auto';
     this.provider = provider || 'open-meteo';
-    this.cache = {
-      current: null,
-      fetchedAt: 0
-    };
+    this.lastCurrent = null;
   }
 
   async fetchCurrent({ force = false } = {}) {
-    const now = Date.now();
-    if (!force && this.cache.current && now - this.cache.fetchedAt < 5 * 60 * 1000) {
-      return this.cache.current;
+    if (force) {
+      clearRequestCache('observation');
     }
 
     try {
-      let result;
-      if (this.provider === 'nws') {
-        result = await this.fetchNwsCurrent();
-      } else if (this.provider === 'nws-hybrid') {
-        result = await this.fetchHybridCurrent();
-      } else {
-        result = await this.fetchOpenMeteoCurrent();
-      }
-      this.cache.current = result;
-      this.cache.fetchedAt = now;
+      const result = await getProvider(this.provider).fetchCurrent(this.getLocation());
+      this.lastCurrent = result;
       return result;
     } catch (error) {
-      const result = {
+      return {
         ok: false,
         sourceLabel: 'Fallback',
         error
       };
-      this.cache.current = result;
-      this.cache.fetchedAt = now;
-      return result;
     }
   }
 
-  async fetchOpenMeteoCurrent() {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${this.latitude}&longitude=${this.longitude}&current=temperature_2m,wind_speed_10m,precipitation,relative_humidity_2m,surface_pressure&timezone=${this.timezone}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Weather request failed: ${response.status}`);
+  async fetchBackupCurrent() {
+    const backup = getBackupProvider(this.provider);
+    if (!backup) {
+      return null;
     }
-    const data = await response.json();
-    const current = data.current || {};
-    const timestamp = current.time || data.current_time;
-    const timezone = data.timezone || 'UTC';
-    const timezoneAbbr = data.timezone_abbreviation || 'UTC';
-
-    return {
-      ok: true,
-      sourceLabel: 'Observed',
-      data: {
-        temperature: current.temperature_2m ?? 0,
-        windSpeed: current.wind_speed_10m ?? 0,
-        precipitation: current.precipitation ?? 0,
-        humidity: current.relative_humidity_2m ?? 0,
-        pressure: current.surface_pressure ?? 0,
-        date: timestamp ? new Date(timestamp) : new Date(),
-        timezone,
-        timezoneAbbr
-      }
-    };
-  }
 
-  async fetchNwsCurrent() {
-    const pointUrl = `https://api.weather.gov/points/${this.latitude},${this.longitude}`;
-    const pointResponse = await fetch(pointUrl, {
-      headers: {
-        'User-Agent': 'Glacier Mission Control (glacier-sim)',
-        Accept: 'application/geo+json'
-      }
-    });
-    if (!pointResponse.ok) {
-      throw new Error(`NWS point lookup failed: ${pointResponse.status}`);
-    }
-    const pointData = await pointResponse.json();
-    const stationsUrl = pointData?.properties?.observationStations;
-    if (!stationsUrl) {
-      throw new Error('NWS stations URL missing');
-    }
-
-    const stationsResponse = await fetch(stationsUrl, {
-      headers: {
-        'User-Agent': 'Glacier Mission Control (glacier-sim)',
-        Accept: 'application/geo+json'
-      }
-    });
-    if (!stationsResponse.ok) {
-      throw new Error(`NWS stations lookup failed: ${stationsResponse.status}`);
-    }
-    const stationsData = await stationsResponse.json();
-    const stationId = stationsData?.features?.[0]?.properties?.stationIdentifier;
-    if (!stationId) {
-      throw new Error('No NWS station found for location');
-    }
-
-    const obsUrl = `https://api.weather.gov/stations/${stationId}/observations/latest`;
-    const obsResponse = await fetch(obsUrl, {
-      headers: {
-        'User-Agent': 'Glacier Mission Control (glacier-sim)',
-        Accept: 'application/geo+json'
-      }
-    });
-    if (!obsResponse.ok) {
-      throw new Error(`NWS observation failed: ${obsResponse.status}`);
+    try {
+      return await backup.fetchCurrent(this.getLocation());
+    } catch (error) {
+      return null;
     }
-    const obsData = await obsResponse.json();
-    const obs = obsData?.properties || {};
-
-    const temperature = obs.temperature?.value;
-    const windSpeedMs = obs.windSpeed?.value;
-    const humidity = obs.relativeHumidity?.value;
-    const pressurePa = obs.seaLevelPressure?.value || obs.barometricPressure?.value;
-    const precipitation = obs.precipitationLastHour?.value || 0;
-    const timestamp = obs.timestamp;
-    const timezone = obsData?.properties?.timeZone || 'UTC';
-    const timezoneAbbr = obs.timeZone || 'UTC';
-
-    return {
-      ok: true,
-      sourceLabel: 'Observed (NWS)',
-      data: {
-        temperature: typeof temperature === 'number' ? temperature : 0,
-        windSpeed: typeof windSpeedMs === 'number' ? windSpeedMs * 3.6 : 0,
-        precipitation: typeof precipitation === 'number' ? precipitation : 0,
-        humidity: typeof humidity === 'number' ? humidity : 0,
-        pressure: typeof pressurePa === 'number' ? pressurePa / 100 : 0,
-        date: timestamp ? new Date(timestamp) : new Date(),
-        timezone,
-        timezoneAbbr
-      }
-    };
   }
 
-  async fetchHybridCurrent() {
-    const [nws, meteo] = await Promise.all([
-      this.fetchNwsCurrent(),
-      this.fetchOpenMeteoCurrent()
-    ]);
-
+  getLocation() {
     return {
-      ok: true,
-      sourceLabel: 'Observed (NWS + Open-Meteo)',
-      data: {
-        temperature: nws.data.temperature,
-        windSpeed: nws.data.windSpeed,
-        precipitation: meteo.data.precipitation,
-        humidity: meteo.data.humidity,
-        pressure: meteo.data.pressure,
-        date: nws.data.date || meteo.data.date,
-        timezone: meteo.data.timezone || nws.data.timezone,
-        timezoneAbbr: meteo.data.timezoneAbbr || nws.data.timezoneAbbr
-      }
+      latitude: this.latitude,
+      longitude: this.longitude,
+      elevation: this.elevation,
+      stationBlend: this.stationBlend,
+      timezone: this.timezone
     };
   }
 
   async fetchDailySeries(days) {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${this.latitude}&longitude=${this.longitude}&daily=temperature_2m_mean,wind_speed_10m_max,precipitation_sum&forecast_days=${days}&timezone=${this.timezone}`;
-
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Forecast request failed: ${response.status}`);
-      }
-      const data = await response.json();
-      if (!data.daily || !data.daily.time) {
-        throw new Error('Forecast missing daily series');
-      }
-
-      const series = data.daily.time.map((time, index) => ({
-        date: new Date(time),
-        temperature: data.daily.temperature_2m_mean[index],
-        windSpeed: data.daily.wind_speed_10m_max[index],
-        precipitation: data.daily.precipitation_sum[index]
-      }));
-
+      return await getProvider(this.provider).fetchDailySeries(this.getLocation(), days);
+    } catch (error) {
+      const fallback = this.lastCurrent || (await this.fetchCurrent());
+      const current = simulationSeed(fallback.data);
+      const series = this.generateSimulatedSeries(current, days);
       return {
-        ok: true,
-        sourceLabel: 'Forecast',
-        series
+        ok: false,
+        sourceLabel: 'Simulated',
+        series,
+        error
       };
+    }
+  }
+
+  async fetchHistoricalSeries(days, endDate = new Date()) {
+    const end = new Date(endDate);
+    end.setDate(end.getDate() - 1);
+    const start = new Date(end);
+    start.setDate(start.getDate() - (days - 1));
+    const startKey = dateKey(start);
+    const endKey = dateKey(end);
+
+    try {
+      const archive = await fetchOpenMeteoArchive(this.getLocation(), startKey, endKey);
+      return await this.fillArchiveLag(archive, endKey);
     } catch (error) {
-      const fallback = await this.fetchCurrent();
-      const current = fallback.data || {
-        temperature: 0,
-        windSpeed: 0,
-        precipitation: 0,
-        date: new Date()
-      };
-      const series = this.generateSimulatedSeries(current, days);
+      const fallback = this.lastCurrent || (await this.fetchCurrent());
+      const current = simulationSeed(fallback.data);
+      const seedDate = new Date(start);
+      seedDate.setDate(seedDate.getDate() - 1);
+      const series = this.generateSimulatedSeries({ ...current, date: seedDate }, days);
       return {
         ok: false,
         sourceLabel: 'Simulated',
@@ -213,39 +123,44 @@ export class WeatherService {
     }
   }
 
-  generateScenarioSeries(current, days, scenario) {
-    const seed =
+  async fillArchiveLag(archive, endKey) {
+    const lastKey = dateKey(archive.series[archive.series.length - 1].date);
+    const lagDays = Math.round((Date.parse(endKey) - Date.parse(lastKey)) / DAY_MS);
+    if (lagDays <= 0) {
+      return { ...archive, missingDays: 0 };
+    }
+
+    let filled = [];
+    try {
+      const recent = await fetchOpenMeteoRecent(this.getLocation(), lagDays + 1);
+      filled = recent.series
+        .filter((day) => dateKey(day.date) > lastKey && dateKey(day.date) <= endKey)
+        .map((day) => ({ ...day, sourceLabel: recent.sourceLabel }));
+    } catch (error) {
+      filled = [];
+    }
+
+    return {
+      ...archive,
+      series: [...archive.series, ...filled],
+      missingDays: lagDays - filled.length
+    };
+  }
+
+  scenarioSeed(current, config) {
+    return (
       Math.floor(current.date.getTime() / 86400000) +
       Math.round(this.latitude * 100) +
       Math.round(Math.abs(this.longitude) * 100) +
-      scenario.length * 31;
-    const random = seededRandom(seed);
-    const series = [];
+      config.id.length * 31
+    );
+  }
 
-    const scenarioConfig = {
-      neutral: {
-        tempShift: -0.6,
-        tempTrend: 0.0,
-        precipFactor: 1.05,
-        windShift: 0.1,
-        seasonalAmp: 5.5
-      },
-      'ice-age': {
-        tempShift: -12.5,
-        tempTrend: -0.35,
-        precipFactor: 1.6,
-        windShift: -1.2,
-        seasonalAmp: 7.0
-      },
-      warming: {
-        tempShift: 3.8,
-        tempTrend: 0.3,
-        precipFactor: 1.2,
-        windShift: 0.4,
-        seasonalAmp: 6.0
-      }
-    };
-    const config = scenarioConfig[scenario] || scenarioConfig.neutral;
+  generateScenarioSeries(current, days, scenario, seed = null) {
+    const config = normalizeScenario(scenario);
+    const runSeed = Number.isFinite(seed) ? seed : this.scenarioSeed(current, config);
+    const random = seededRandom(runSeed);
+    const series = [];
 
     for (let i = 0; i < days; i += 1) {
       const nextDate = new Date(current.date);
@@ -257,21 +172,20 @@ export class WeatherService {
       );
       const seasonal =
         Math.cos(((dayOfYear - 10) / 365) * Math.PI * 2) * config.seasonalAmp;
-      const trend = config.tempTrend * (i + 1);
-      const noiseScale = scenario === 'ice-age' ? 0.6 : 1.0;
-      const tempNoise = (random() - 0.5) * 1.8 * noiseScale;
-      const windNoise = (random() - 0.5) * 2.6 * noiseScale;
+      const trend = config.tempTrend * (i + 1) + (config.annualTrend * (i + 1)) / 365;
+      const tempNoise = (random() - 0.5) * 1.8 * config.noiseScale;
+      const windNoise = (random() - 0.5) * 2.6 * config.noiseScale;
       const stormChance = random();
-      const stormBoost = stormChance > 0.8 ? 1.5 + random() * 1.5 : 0;
+      const stormBoost =
+        stormChance > 1 - config.stormProbability ? 1.5 + random() * 1.5 : 0;
       const precipNoise = Math.max(0, current.precipitation + (random() - 0.35));
-      const minPrecip = scenario === 'ice-age' ? 0.6 : 0;
 
       const adjustedTemp =
         current.temperature + config.tempShift + seasonal + trend + tempNoise;
       const adjustedWind =
         Math.max(0, current.windSpeed + config.windShift + windNoise);
       const adjustedPrecip = Math.max(
-        minPrecip,
+        config.minPrecip,
         (precipNoise + stormBoost) * config.precipFactor
       );
 
@@ -283,26 +197,19 @@ export class WeatherService {
       });
     }
 
-    const labels = {
-      'ice-age': 'Ice Age',
-      warming: 'More Warming'
-    };
-
     return {
       ok: true,
-      sourceLabel: `Scenario: ${labels[scenario] || 'Ice Age'}`,
-      series
+      sourceLabel: `Scenario: ${config.name}`,
+      series,
+      seed: runSeed,
+      baseline: current
     };
   }
 
-  async fetchScenarioSeries(days, scenario, baseline) {
-    const current = baseline || (await this.fetchCurrent()).data || {
-      temperature: 0,
-      windSpeed: 0,
-      precipitation: 0,
-      date: new Date()
-    };
-    return this.generateScenarioSeries(current, days, scenario);
+  async fetchScenarioSeries(days, scenario, baseline, seed = null) {
+    const latest = baseline || (this.lastCurrent || (await this.fetchCurrent())).data;
+    const current = simulationSeed(latest);
+    return this.generateScenarioSeries(current, days, scenario, seed);
   }
 
   generateSimulatedSeries(current, days) {
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diffAlertRules,
+  evaluateAlertRules,
+  resolveAlertRules,
+  updateAlertLog
+} from '../src/alerts.js';
+
+const RULE = {
+  id: 'low-health',
+  enabled: true,
+  metric: 'healthIndex',
+  comparator: '<',
+  threshold: 50,
+  duration: 2,
+  hysteresis: 5,
+  severity: 'warning',
+  group: 'integrity'
+};
+
+const CRITICAL = { ...RULE, id: 'very-low-health', threshold: 40, duration: 1, severity: 'critical' };
+
+const history = (values) =>
+  values.map((healthIndex, index) => ({
+    date: new Date(Date.UTC(2026, 5, 1 + index)),
+    healthIndex,
+    dailyChange: 0
+  }));
+
+const resultFor = (rules, values, id) =>
+  evaluateAlertRules(rules, history(values)).find((result) => result.rule.id === id);
+
+describe('evaluateAlertRules', () => {
+  it('waits for the configured number of consecutive days', () => {
+    assert.equal(resultFor([RULE], [60, 45], 'low-health').active, false);
+    assert.equal(resultFor([RULE], [60, 45, 60, 45], 'low-health').active, false);
+    const result = resultFor([RULE], [60, 45, 60, 45, 45], 'low-health');
+    assert.equal(result.active, true);
+    assert.equal(result.since.toISOString(), '2026-06-04T00:00:00.000Z');
+  });
+
+  it('clears only after the value moves back past the hysteresis margin', () => {
+    assert.equal(resultFor([RULE], [45, 45, 52], 'low-health').active, true);
+    assert.equal(resultFor([RULE], [45, 45, 52, 56], 'low-health').active, false);
+  });
+
+  it('suppresses later rules in a group behind the first active one', () => {
+    const [critical, warning] = evaluateAlertRules([CRITICAL, RULE], history([45, 35]));
+    assert.equal(critical.active, true);
+    assert.equal(critical.suppressed, false);
+    assert.equal(warning.active, true);
+    assert.equal(warning.suppressed, true);
+    assert.equal(warning.supersededBy.id, 'very-low-health');
+  });
+
+  it('skips disabled rules', () => {
+    const result = resultFor([{ ...RULE, enabled: false }], [30, 30], 'low-health');
+    assert.equal(result.active, false);
+    assert.equal(result.disabled, true);
+  });
+});
+
+describe('alert rule overrides', () => {
+  it('round-trips edits through diffAlertRules and resolveAlertRules', () => {
+    const base = resolveAlertRules();
+    const edited = base.map((rule, index) => (index === 0 ? { ...rule, threshold: 45 } : rule));
+    const overrides = diffAlertRules(base, edited);
+    assert.deepEqual(overrides, { [base[0].id]: { threshold: 45 } });
+    assert.deepEqual(resolveAlertRules(overrides), edited);
+  });
+
+  it('drops invalid override fields', () => {
+    const [rule] = resolveAlertRules({ 'critical-loss': { threshold: 'low', duration: 3 } });
+    assert.equal(rule.threshold, 50);
+    assert.equal(rule.duration, 3);
+  });
+});
+
+describe('updateAlertLog', () => {
+  const first = new Date(Date.UTC(2026, 5, 1));
+  const second = new Date(Date.UTC(2026, 5, 2));
+  const alert = { id: 'low-health', level: 'warning', label: 'Low health' };
+
+  it('opens an event and extends it while the alert stays active', () => {
+    const opened = updateAlertLog([], [alert], { date: first, sourceLabel: 'Observed' });
+    const extended = updateAlertLog(opened, [alert], { date: second, sourceLabel: 'Observed' });
+    assert.equal(extended.length, 1);
+    assert.equal(extended[0].firstSeen, first);
+    assert.equal(extended[0].lastSeen, second);
+    assert.equal(extended[0].cleared, null);
+  });
+
+  it('records the superseding rule when a group member takes over', () => {
+    const opened = updateAlertLog([], [alert], { date: first, sourceLabel: 'Observed' });
+    const [closed] = updateAlertLog(
+      opened,
+      [],
+      { date: second, sourceLabel: 'Observed' },
+      { 'low-health': 'Critical loss' }
+    );
+    assert.equal(closed.cleared, second);
+    assert.equal(closed.supersededBy, 'Critical loss');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeRunLink, encodeRunLink } from '../src/permalink.js';
+import { BUILT_IN_SCENARIOS, normalizeScenario } from '../src/scenarios.js';
+
+const start = new Date(Date.UTC(2026, 5, 1));
+
+describe('run permalinks', () => {
+  it('round-trips a custom scenario run', () => {
+    const scenario = normalizeScenario({
+      id: 'dry-spell',
+      name: 'Dry spell',
+      tempShift: 2.5,
+      precipFactor: 0.4,
+      days: 730
+    });
+    const link = encodeRunLink({
+      glacierId: 'aletsch',
+      mode: 'scenario',
+      scenario,
+      days: 730,
+      strategyId: 'degree-day',
+      params: { meltRate: 0.6, accumulationRate: 1.1 },
+      ensemble: { enabled: true, members: 12, perturbParams: true },
+      seed: 42,
+      baseline: { date: start, temperature: -3, windSpeed: 14, precipitation: 2 }
+    });
+    assert.deepEqual(decodeRunLink(link), {
+      glacierId: 'aletsch',
+      mode: 'scenario',
+      presetId: 'dry-spell',
+      scenario,
+      days: 730,
+      strategyId: 'degree-day',
+      params: { meltRate: 0.6, accumulationRate: 1.1 },
+      ensemble: { enabled: true, members: 12, perturbParams: true },
+      seed: 42,
+      baseline: { date: start, temperature: -3, windSpeed: 14, precipitation: 2 }
+    });
+  });
+
+  it('links built-in presets by id only', () => {
+    const link = encodeRunLink({
+      glacierId: 'rhone',
+      mode: 'scenario',
+      scenario: BUILT_IN_SCENARIOS[1],
+      days: 365
+    });
+    assert.equal(link.includes('sc.'), false);
+    const decoded = decodeRunLink(link);
+    assert.equal(decoded.presetId, 'ice-age');
+    assert.equal(decoded.scenario, null);
+  });
+
+  it('omits run length and seed for live runs', () => {
+    const decoded = decodeRunLink(
+      encodeRunLink({ glacierId: 'aletsch', days: 30, seed: 7, ensemble: { enabled: false } })
+    );
+    assert.equal(decoded.mode, 'live');
+    assert.equal(decoded.days, null);
+    assert.equal(decoded.seed, null);
+    assert.deepEqual(decoded.ensemble, { enabled: false });
+  });
+
+  it('falls back safely on malformed links', () => {
+    assert.equal(decodeRunLink('?mode=scenario'), null);
+    const decoded = decodeRunLink('?glacier=aletsch&mode=orbit&days=-4&melt=-1&members=x');
+    assert.equal(decoded.mode, 'live');
+    assert.equal(decoded.days, null);
+    assert.deepEqual(decoded.params, {});
+    assert.deepEqual(decoded.ensemble, { enabled: false });
+  });
+});
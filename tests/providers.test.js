@@ -0,0 +1,219 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createMockServer } from '../scripts/mock-server.js';
+import { setApiBaseUrls } from '../src/providers/config.js';
+import { clearRequestCache, getProvider } from '../src/providers/index.js';
+
+const fixture = (name) =>
+  JSON.parse(readFileSync(new URL(`../fixtures/providers/${name}`, import.meta.url), 'utf8'));
+
+const NOW = Date.parse('2026-06-15T18:30:00Z');
+const DAYS = 3;
+const PRESSURE_SCALE_HEIGHT_M = 8434;
+
+const HUBBARD = {
+  latitude: 60.3139,
+  longitude: -139.3708,
+  timezone: 'America/Yakutat',
+  elevation: 10,
+  stationBlend: 2
+};
+
+const seaLevelToSurface = (pressure) =>
+  pressure * Math.exp(-HUBBARD.elevation / PRESSURE_SCALE_HEIGHT_M);
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const assertClose = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} !== ${expected}`);
+
+function gridDailyMean(layer, key) {
+  let total = 0;
+  let hours = 0;
+  layer.values.forEach(({ validTime, value }) => {
+    const [start, duration] = validTime.split('/');
+    const span = Number(/PT(\d+)H/.exec(duration)[1]);
+    for (let hour = 0; hour < span; hour += 1) {
+      const at = new Date(Date.parse(start) + hour * 3600000);
+      if (dayKey(at) === key) {
+        total += value;
+        hours += 1;
+      }
+    }
+  });
+  return total / hours;
+}
+
+let server;
+
+before(async () => {
+  server = createMockServer({ log: () => {} });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  setApiBaseUrls({ openMeteo: base, openMeteoArchive: base, nws: base, metNorway: base });
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  clearRequestCache();
+  mock.method(Date, 'now', () => NOW);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('open-meteo', () => {
+  const provider = getProvider('open-meteo');
+
+  it('parses current conditions', async () => {
+    const { current, timezone, timezone_abbreviation: abbr } = fixture('open-meteo-current.json');
+    const { ok, data } = await provider.fetchCurrent(HUBBARD);
+    assert.equal(ok, true);
+    assert.deepEqual(data, {
+      temperature: current.temperature_2m,
+      windSpeed: current.wind_speed_10m,
+      precipitation: current.precipitation,
+      humidity: current.relative_humidity_2m,
+      pressure: current.surface_pressure,
+      shortwaveRadiation: current.shortwave_radiation,
+      date: new Date(current.time),
+      timezone,
+      timezoneAbbr: abbr
+    });
+  });
+
+  it('parses the daily forecast', async () => {
+    const { daily } = fixture('open-meteo-daily.json');
+    const { series } = await provider.fetchDailySeries(HUBBARD, DAYS);
+    assert.equal(series.length, DAYS);
+    series.forEach((day, index) => {
+      assert.equal(dayKey(day.date), daily.time[index]);
+      assert.equal(day.temperature, daily.temperature_2m_mean[index]);
+      assert.equal(day.windSpeed, daily.wind_speed_10m_max[index]);
+      assert.equal(day.precipitation, daily.precipitation_sum[index]);
+      assert.equal(day.humidity, daily.relative_humidity_2m_mean[index]);
+      assert.equal(day.pressure, daily.surface_pressure_mean[index]);
+      assertClose(
+        day.shortwaveRadiation,
+        (daily.shortwave_radiation_sum[index] * 1e6) / 86400,
+        'radiation'
+      );
+    });
+  });
+});
+
+describe('nws', () => {
+  const provider = getProvider('nws');
+
+  it('blends the nearest station observations', async () => {
+    const paya = fixture('nws-observation.json').properties;
+    const payk = fixture('nws-observation-PAYK.json').properties;
+    const { sourceLabel, data } = await provider.fetchCurrent(HUBBARD);
+    assert.equal(sourceLabel, 'Observed (NWS)');
+    assert.deepEqual(data.stations.map((station) => station.id).sort(), ['PAYA', 'PAYK']);
+    const weights = Object.fromEntries(
+      data.stations.map((station) => [station.id, station.weight])
+    );
+    assertClose(weights.PAYA + weights.PAYK, 1, 'weights');
+    assert.equal(data.temperature, paya.temperature.value);
+    assert.equal(data.humidity, paya.relativeHumidity.value);
+    assertClose(
+      data.windSpeed,
+      paya.windSpeed.value * weights.PAYA + payk.windSpeed.value * weights.PAYK,
+      'wind speed'
+    );
+    assertClose(data.precipitation, paya.precipitationLastHour.value, 'precipitation');
+    const observations = { PAYA: paya, PAYK: payk };
+    const pressure = data.stations.reduce((sum, station) => {
+      const stationPa = observations[station.id].barometricPressure.value;
+      const adjustment = Math.exp(station.elevationOffset / PRESSURE_SCALE_HEIGHT_M);
+      return sum + (stationPa / 100) * adjustment * station.weight;
+    }, 0);
+    assertClose(data.pressure, pressure, 'pressure');
+    assert.equal(data.date.getTime(), Date.parse(paya.timestamp));
+  });
+
+  it('aggregates the gridpoint forecast into days', async () => {
+    const grid = fixture('nws-gridpoint.json').properties;
+    const { sourceLabel, series } = await provider.fetchDailySeries(HUBBARD, DAYS);
+    assert.equal(sourceLabel, 'Forecast (NWS)');
+    assert.deepEqual(
+      series.map((day) => dayKey(day.date)),
+      ['2026-06-15', '2026-06-16', '2026-06-17']
+    );
+    series.forEach((day) => {
+      const key = dayKey(day.date);
+      assertClose(day.temperature, gridDailyMean(grid.temperature, key), `${key} temperature`);
+      assertClose(day.humidity, gridDailyMean(grid.relativeHumidity, key), `${key} humidity`);
+      assert.equal(day.pressure, null);
+    });
+  });
+});
+
+describe('nws-hybrid', () => {
+  const provider = getProvider('nws-hybrid');
+
+  it('merges fresh NWS fields with Open-Meteo', async () => {
+    const paya = fixture('nws-observation.json').properties;
+    const { current } = fixture('open-meteo-current.json');
+    const { sourceLabel, data } = await provider.fetchCurrent(HUBBARD);
+    assert.equal(sourceLabel, 'Observed (NWS + Open-Meteo)');
+    assert.equal(data.temperature, paya.temperature.value);
+    assert.equal(data.precipitation, current.precipitation);
+    assert.equal(data.humidity, current.relative_humidity_2m);
+    assert.equal(data.pressure, current.surface_pressure);
+    assert.equal(data.shortwaveRadiation, current.shortwave_radiation);
+    assert.equal(data.provenance.temperature.source, 'NWS');
+    assert.equal(data.provenance.temperature.quality, 'primary');
+    assert.equal(data.provenance.pressure.source, 'Open-Meteo');
+    assert.equal(data.stations.length, 2);
+  });
+
+  it('falls back to Open-Meteo when NWS is stale', async () => {
+    mock.method(Date, 'now', () => NOW + 12 * 3600000);
+    const { current } = fixture('open-meteo-current.json');
+    const { sourceLabel, data } = await provider.fetchCurrent(HUBBARD);
+    assert.equal(sourceLabel, 'Observed (Open-Meteo)');
+    assert.equal(data.temperature, current.temperature_2m);
+    assert.equal(data.windSpeed, current.wind_speed_10m);
+    assert.equal(data.provenance.temperature.quality, 'substituted');
+    assert.equal(data.stations, null);
+  });
+});
+
+describe('met-norway', () => {
+  const provider = getProvider('met-norway');
+  const { timeseries } = fixture('metno-compact.json').properties;
+
+  it('reads the current step of the locationforecast', async () => {
+    const entry = timeseries.find((item) => item.time === '2026-06-15T18:00:00Z');
+    const details = entry.data.instant.details;
+    const { sourceLabel, data } = await provider.fetchCurrent(HUBBARD);
+    assert.equal(sourceLabel, 'Nowcast (MET Norway)');
+    assert.equal(data.temperature, details.air_temperature);
+    assertClose(data.windSpeed, details.wind_speed * 3.6, 'wind speed');
+    assert.equal(data.precipitation, entry.data.next_1_hours.details.precipitation_amount);
+    assert.equal(data.humidity, details.relative_humidity);
+    assertClose(data.pressure, seaLevelToSurface(details.air_pressure_at_sea_level), 'pressure');
+    assert.equal(data.date.toISOString(), '2026-06-15T18:00:00.000Z');
+  });
+
+  it('aggregates the timeseries into days', async () => {
+    const { series } = await provider.fetchDailySeries(HUBBARD, DAYS);
+    assert.equal(series.length, DAYS);
+    series.forEach((day) => {
+      const key = dayKey(day.date);
+      const steps = timeseries.filter((item) => item.time.startsWith(key));
+      const temps = steps.map((item) => item.data.instant.details.air_temperature);
+      const winds = steps.map((item) => item.data.instant.details.wind_speed);
+      const meanTemp = temps.reduce((sum, value) => sum + value, 0) / temps.length;
+      assertClose(day.temperature, meanTemp, `${key} temperature`);
+      const pressures = steps.map((item) => item.data.instant.details.air_pressure_at_sea_level);
+      const meanPressure = pressures.reduce((sum, value) => sum + value, 0) / pressures.length;
+      assertClose(day.windSpeed, Math.max(...winds) * 3.6, `${key} wind speed`);
+      assertClose(day.pressure, seaLevelToSurface(meanPressure), `${key} pressure`);
+      assert.equal(day.shortwaveRadiation, null);
+    });
+  });
+});
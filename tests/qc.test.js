@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkObservation, checkSeries, summarizeQc } from '../src/qc.js';
+
+const day = (index, values = {}) => ({
+  date: new Date(Date.UTC(2026, 5, 1 + index)),
+  temperature: 0,
+  windSpeed: 10,
+  precipitation: 1,
+  ...values
+});
+
+const checks = (flags) => flags.map(({ field, check, repair }) => [field, check, repair]);
+
+describe('checkObservation', () => {
+  it('repairs an out-of-range value from the backup provider', () => {
+    const result = checkObservation(day(0, { temperature: 80 }), [], {
+      backup: { temperature: 4 }
+    });
+    assert.equal(result.usable, true);
+    assert.equal(result.observation.temperature, 4);
+    assert.deepEqual(checks(result.flags), [['temperature', 'range', 'backup']]);
+  });
+
+  it('carries a missing required value forward from the previous day', () => {
+    const result = checkObservation(day(1, { windSpeed: null }), [day(0, { windSpeed: 12 })]);
+    assert.equal(result.observation.windSpeed, 12);
+    assert.deepEqual(checks(result.flags), [['windSpeed', 'missing', 'persisted']]);
+  });
+
+  it('rejects an observation whose required value cannot be repaired', () => {
+    const result = checkObservation(day(1, { temperature: -90 }), [day(0)], { persist: false });
+    assert.equal(result.usable, false);
+    assert.deepEqual(result.unresolved, ['temperature']);
+    assert.equal(result.observation.temperature, null);
+  });
+
+  it('ignores missing optional fields', () => {
+    const result = checkObservation(day(0, { humidity: null, pressure: undefined }));
+    assert.deepEqual(result.flags, []);
+    assert.equal(result.observation.qc, undefined);
+  });
+
+  it('flags a spike against the recent median', () => {
+    const recent = [day(0), day(1), day(2), day(3, { temperature: 10 })];
+    const result = checkObservation(day(4, { temperature: 16 }), recent);
+    assert.equal(result.usable, true);
+    assert.deepEqual(checks(result.flags), [['temperature', 'spike', null]]);
+  });
+
+  it('flags a large step from the previous day', () => {
+    const result = checkObservation(day(1, { temperature: 13 }), [day(0)]);
+    assert.deepEqual(checks(result.flags), [['temperature', 'step', null]]);
+    assert.equal(result.observation.temperature, 13);
+  });
+});
+
+describe('checkSeries', () => {
+  it('interpolates a missing day between its neighbours', () => {
+    const { series, flagged, dropped } = checkSeries([
+      day(0, { temperature: 2 }),
+      day(1, { temperature: null }),
+      day(2, { temperature: 6 })
+    ]);
+    assert.equal(series.length, 3);
+    assert.equal(series[1].temperature, 4);
+    assert.deepEqual(checks(series[1].qc), [['temperature', 'missing', 'interpolated']]);
+    assert.equal(flagged, 1);
+    assert.equal(dropped, 0);
+  });
+
+  it('drops days that still lack a required field', () => {
+    const { series, dropped } = checkSeries([
+      day(0, { precipitation: null }),
+      day(1, { precipitation: null })
+    ]);
+    assert.deepEqual(series, []);
+    assert.equal(dropped, 2);
+  });
+});
+
+describe('summarizeQc', () => {
+  it('counts flagged days and repairs in the recent window', () => {
+    const history = [
+      day(0),
+      { ...day(1), qc: [{ field: 'temperature', check: 'range', repair: 'backup' }] },
+      { ...day(2), qc: [{ field: 'humidity', check: 'range', repair: null }] }
+    ];
+    const summary = summarizeQc(history);
+    assert.equal(summary.days, 3);
+    assert.equal(summary.flaggedDays, 1);
+    assert.equal(summary.repaired, 1);
+  });
+});
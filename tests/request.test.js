@@ -0,0 +1,62 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { clearRequestCache, fetchJson, getNetworkDiagnostics } from '../src/providers/request.js';
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+const endpoint = (label) =>
+  getNetworkDiagnostics().endpoints.find((stats) => stats.label === label);
+
+beforeEach(() => clearRequestCache());
+
+afterEach(() => mock.restoreAll());
+
+describe('fetchJson', () => {
+  it('returns a fresh copy of cached and shared responses', async () => {
+    mock.method(globalThis, 'fetch', async () => jsonResponse({ values: [1, 2, 3] }));
+    const url = 'http://fixtures.test/copies';
+    const [first, shared] = await Promise.all([
+      fetchJson(url, { label: 'Copies', cache: 'forecast' }),
+      fetchJson(url, { label: 'Copies', cache: 'forecast' })
+    ]);
+    first.values.push(4);
+    shared.values.length = 0;
+    const cached = await fetchJson(url, { label: 'Copies', cache: 'forecast' });
+    assert.deepEqual(cached, { values: [1, 2, 3] });
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+  });
+
+  it('does not retry a request that timed out', async () => {
+    mock.method(
+      globalThis,
+      'fetch',
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () =>
+            reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))
+          );
+        })
+    );
+    await assert.rejects(
+      fetchJson('http://fixtures.test/slow', { label: 'Slow', timeoutMs: 20 }),
+      /Slow timed out/
+    );
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+    assert.equal(endpoint('Slow').retries, 0);
+  });
+
+  it('retries server errors', async () => {
+    let calls = 0;
+    mock.method(globalThis, 'fetch', async () => {
+      calls += 1;
+      return calls === 1 ? { ok: false, status: 503 } : jsonResponse({ ok: true });
+    });
+    const data = await fetchJson('http://fixtures.test/flaky', {
+      label: 'Flaky',
+      backoffMs: 1,
+      maxBackoffMs: 1
+    });
+    assert.deepEqual(data, { ok: true });
+    assert.equal(endpoint('Flaky').retries, 1);
+  });
+});
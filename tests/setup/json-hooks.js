@@ -0,0 +1,9 @@
+import { readFile } from 'node:fs/promises';
+
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !url.endsWith('.json') || context.importAttributes?.type) {
+    return nextLoad(url, context);
+  }
+  const source = await readFile(new URL(url), 'utf8');
+  return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+}
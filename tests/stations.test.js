@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildStationSeries,
+  createStationDataset,
+  guessColumnMapping,
+  parseCsv
+} from '../src/stations.js';
+
+const CSV = [
+  'Date,Temp (F),Wind (m/s),Precip (in),RH',
+  '2026-06-03,50,2,0.1,40',
+  '2026-06-01,32,1,0,120',
+  '2026-06-01,41,5,1,50',
+  '2026-06-02,bad,1,0,',
+  '2026-06-06,212,0,0,'
+].join('\r\n');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+describe('parseCsv', () => {
+  it('handles quoted cells, escaped quotes and blank lines', () => {
+    const table = parseCsv('date,"note, text"\r\n\r\n2026-06-01,"a ""quoted"", value"\n');
+    assert.deepEqual(table.headers, ['date', 'note, text']);
+    assert.deepEqual(table.rows, [['2026-06-01', 'a "quoted", value']]);
+  });
+
+  it('rejects files without data rows', () => {
+    assert.throws(() => parseCsv('date,temp\n'), (error) => {
+      assert.equal(error.detail.key, 'station.errors.tooFewRows');
+      return true;
+    });
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('matches column aliases and unit hints', () => {
+    const { columns, units } = guessColumnMapping(parseCsv(CSV).headers);
+    assert.deepEqual(columns, {
+      date: 'Date',
+      temperature: 'Temp (F)',
+      windSpeed: 'Wind (m/s)',
+      precipitation: 'Precip (in)',
+      humidity: 'RH',
+      pressure: null
+    });
+    assert.equal(units.temperature, '°F');
+    assert.equal(units.windSpeed, 'm/s');
+    assert.equal(units.precipitation, 'in');
+    assert.equal(units.humidity, '%');
+  });
+});
+
+describe('buildStationSeries', () => {
+  const table = parseCsv(CSV);
+  const { series, issues } = buildStationSeries(table, guessColumnMapping(table.headers));
+
+  it('converts units, clamps humidity and sorts by date', () => {
+    assert.deepEqual(
+      series.map((day) => [
+        day.date.toISOString().slice(0, 10),
+        round(day.temperature),
+        round(day.windSpeed),
+        round(day.precipitation),
+        day.humidity
+      ]),
+      [
+        ['2026-06-01', 0, 3.6, 0, 100],
+        ['2026-06-03', 10, 7.2, 2.54, 40],
+        ['2026-06-06', 100, 0, 0, null]
+      ]
+    );
+  });
+
+  it('keeps the first row for duplicate dates', () => {
+    assert.deepEqual(issues.duplicates, [{ line: 4, date: '2026-06-01' }]);
+  });
+
+  it('reports invalid values and gaps between days', () => {
+    assert.deepEqual(issues.invalid, [{ line: 5, field: 'temperature', value: 'bad' }]);
+    assert.deepEqual(issues.gaps, [
+      { after: '2026-06-01', days: 1 },
+      { after: '2026-06-03', days: 2 }
+    ]);
+  });
+
+  it('requires the mandatory columns to be mapped', () => {
+    const { columns, units } = guessColumnMapping(table.headers);
+    assert.throws(
+      () => buildStationSeries(table, { columns: { ...columns, windSpeed: null }, units }),
+      (error) => error.detail.key === 'station.errors.mapColumn'
+    );
+  });
+});
+
+describe('createStationDataset', () => {
+  it('refuses a dataset without usable days', () => {
+    assert.throws(
+      () =>
+        createStationDataset({
+          glacierId: 'aletsch',
+          series: [],
+          issues: { invalid: [], duplicates: [], gaps: [] }
+        }),
+      (error) => error.detail.key === 'station.errors.noUsableRows'
+    );
+  });
+});
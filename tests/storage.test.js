@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyedStore, StateStore, createStore, migrateStoredState } from '../src/storage.js';
+
+const memoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const quotaError = () => Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+
+describe('migrateStoredState', () => {
+  it('upgrades version 1 snapshots to the current schema', () => {
+    const migrated = migrateStoredState({
+      version: 1,
+      activeGlacierId: 'aletsch',
+      glaciers: {
+        aletsch: {
+          model: { maxHistory: 10, history: [] },
+          baselineSnapshot: { maxHistory: 90, ensemble: { members: 8 }, alertLog: [{ id: 'a' }] }
+        }
+      }
+    });
+    assert.equal(migrated.version, 2);
+    assert.equal(migrated.activeGlacierId, 'aletsch');
+    const { model, baselineSnapshot } = migrated.glaciers.aletsch;
+    assert.equal(model.maxHistory, 30);
+    assert.equal(model.ensemble, null);
+    assert.deepEqual(model.alertLog, []);
+    assert.equal(baselineSnapshot.maxHistory, 90);
+    assert.deepEqual(baselineSnapshot.ensemble, { members: 8 });
+    assert.deepEqual(baselineSnapshot.alertLog, [{ id: 'a' }]);
+  });
+
+  it('keeps missing snapshots empty', () => {
+    const migrated = migrateStoredState({ version: 1, glaciers: { rhone: { model: null } } });
+    assert.equal(migrated.glaciers.rhone.model, null);
+    assert.equal(migrated.glaciers.rhone.baselineSnapshot, undefined);
+  });
+
+  it('rejects data without a known version', () => {
+    assert.equal(migrateStoredState(null), null);
+    assert.equal(migrateStoredState({ glaciers: {} }), null);
+    assert.equal(migrateStoredState({ version: 0, glaciers: {} }), null);
+    assert.equal(migrateStoredState({ version: 3, glaciers: {} }), null);
+  });
+});
+
+describe('StateStore', () => {
+  it('revives dates when loading a saved state', () => {
+    const store = new StateStore({ storage: memoryStorage() });
+    const date = new Date(Date.UTC(2026, 5, 1));
+    assert.equal(store.save({ activeGlacierId: 'aletsch', glaciers: { aletsch: { date } } }), true);
+    const loaded = store.load();
+    assert.equal(loaded.version, 2);
+    assert.ok(loaded.glaciers.aletsch.date instanceof Date);
+    assert.equal(loaded.glaciers.aletsch.date.getTime(), date.getTime());
+  });
+
+  it('treats unreadable or missing storage as empty', () => {
+    assert.equal(new StateStore({ storage: memoryStorage({ 'glacier-sim:state': '{' }) }).load(), null);
+    assert.equal(new StateStore({ storage: null }).load(), null);
+  });
+});
+
+describe('KeyedStore', () => {
+  it('ignores entries written under another version', () => {
+    const storage = memoryStorage({
+      'glacier-sim:profiles': JSON.stringify({ version: 0, profiles: { aletsch: {} } })
+    });
+    assert.deepEqual(createStore('profiles', { storage }).loadAll(), {});
+  });
+
+  it('replaces list entries by id', () => {
+    const store = createStore('presets', { storage: memoryStorage() });
+    store.save('a', { id: 'a', name: 'First' });
+    store.save('b', { id: 'b', name: 'Second' });
+    store.save('a', { id: 'a', name: 'Renamed' });
+    assert.deepEqual(
+      store.loadAll().map((entry) => entry.name),
+      ['Second', 'Renamed']
+    );
+    store.remove('b');
+    assert.deepEqual(store.load('a'), { id: 'a', name: 'Renamed' });
+    assert.equal(store.load('b'), null);
+  });
+
+  it('reports quota failures to onError', () => {
+    const errors = [];
+    const storage = {
+      ...memoryStorage(),
+      setItem: () => {
+        throw quotaError();
+      }
+    };
+    const store = new KeyedStore({
+      storage,
+      name: 'stations',
+      key: 'test',
+      version: 1,
+      field: 'datasets',
+      onError: (report) => errors.push(report)
+    });
+    assert.equal(store.save('aletsch', { series: [] }), false);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].store, 'stations');
+    assert.equal(errors[0].quota, true);
+  });
+});